@@ -0,0 +1,248 @@
+let http = require("http");
+let crypto = require("crypto");
+let net = require("net");
+let uniqueInstance = require("./Singleton");
+let log = require("./KADLogger").create("admin");
+
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_SIZE = 64 * 1024; // Bytes of request body accepted
+
+// An HTTP error reply: its status code and message
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  /**
+   * Creates the local admin API of a running KademliaNode, a small HTTP/JSON endpoint for
+   * dashboards and scripts. It only binds to a loopback address and, given a token, only
+   * serves requests carrying it as `Authorization: Bearer <token>`. So that web pages the
+   * operator has open cannot use it, it only serves requests whose `Host` is the address
+   * and port it listens on (or `localhost` on that port), and request bodies must be sent
+   * as `Content-Type: application/json`.
+   *
+   *   GET  /table          the buckets and their contacts, with last seen times
+   *   GET  /stats          the node's statistics, see KademliaNode.stats()
+   *   POST /lookup         { "id": hex } -> { "peers": [...] }, the closest peers found
+   *   PUT  /values/:key    { "value": string } -> { "key", "storedOn" }, publishes the pair
+   *   GET  /values/:key    { "key", "value" }, or 404 if no peer holds it
+   *   POST /bootstrap      { "seeds": ["IP:PORT", ...] } -> { "peers": [...] }
+   *
+   * Errors are replied as `{ "error": message }` with a 4xx or 5xx status: 403 for another
+   * `Host` and 415 for a body of another type.
+   *
+   * @param {KademliaNode} node - The node to expose.
+   * @param {Object} options - Optional `host` (127.0.0.1 by default; it must be a loopback
+   *                           address), `port` (0, a free one, by default) and `token`.
+   * @returns {Object} The admin server, with `start()`, resolving with the `{ host, port }`
+   *                   it listens on, and `stop()`.
+   */
+  createAdminServer: createAdminServer
+};
+
+// ---------------------------------------------------------------------
+function createAdminServer(node, options = {}) {
+  let host = options.host || DEFAULT_HOST;
+  let token = options.token || null;
+  if (!isLoopback(host)) throw new Error(`The admin API only binds to loopback addresses, not ${host}`);
+
+  let server = http.createServer((request, response) => {
+    handle(request).then(
+      (result) => send(response, 200, result),
+      (err) => {
+        if (err instanceof HttpError) {
+          send(response, err.status, { error: err.message });
+        } else {
+          log.error("request-failed", "Admin API error on {method} {url}: {error}", { method: request.method, url: request.url, error: err.message });
+          send(response, 500, { error: err.message });
+        }
+      }
+    );
+  });
+
+  function start() {
+    /**
+     * Starts listening.
+     *
+     * @returns {Promise<Object>} The `{ host, port }` the API listens on.
+     */
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(options.port || 0, host, () => {
+        server.removeListener("error", reject);
+        resolve({ host: host, port: server.address().port });
+      });
+    });
+  }
+
+  function stop() {
+    /**
+     * Stops listening and closes the open connections.
+     *
+     * @returns {Promise} Resolves once closed.
+     */
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  async function handle(request) {
+    if (!servedHost(request.headers.host)) throw new HttpError(403, `Host ${request.headers.host} not served`);
+    if (token && !authorized(request.headers.authorization)) throw new HttpError(401, "Missing or invalid token");
+
+    let url = new URL(request.url, "http://localhost");
+    let route = url.pathname;
+    let valueKey = route.match(/^\/values\/([^/]+)$/);
+
+    if (route === "/table") {
+      allow(request, "GET");
+      return table(node.running());
+    }
+    if (route === "/stats") {
+      allow(request, "GET");
+      return node.stats();
+    }
+    if (route === "/lookup") {
+      allow(request, "POST");
+      let body = await readBody(request);
+      let width = uniqueInstance.getIDBytes() * 2;
+      if (typeof body.id !== "string" || !new RegExp(`^[0-9a-fA-F]{${width}}$`).test(body.id)) {
+        throw new HttpError(400, `Expected "id", an ID of ${width} hex digits`);
+      }
+      return { peers: (await node.findNode(body.id.toLowerCase())).map(contact) };
+    }
+    if (valueKey) {
+      allow(request, "GET", "PUT");
+      let key;
+      try {
+        key = decodeURIComponent(valueKey[1]);
+      } catch (err) {
+        throw new HttpError(400, `Invalid key ${valueKey[1]}`);
+      }
+      if (request.method === "GET") {
+        let value = await node.get(key);
+        if (value === null) throw new HttpError(404, `No value for ${key}`);
+        return { key: key, value: value };
+      }
+      let body = await readBody(request);
+      if (typeof body.value !== "string" || body.value === "") throw new HttpError(400, `Expected "value", a non-empty string`);
+      return { key: key, storedOn: (await node.put(key, body.value)).length };
+    }
+    if (route === "/bootstrap") {
+      allow(request, "POST");
+      let body = await readBody(request);
+      let seeds = [].concat(body.seeds || []);
+      if (seeds.length === 0 || !seeds.every(isSeedAddress)) {
+        throw new HttpError(400, `Expected "seeds", a list of "IP:PORT" addresses, IPv4 addresses rather than host names`);
+      }
+      return { peers: (await node.bootstrap(seeds)).map(contact) };
+    }
+    throw new HttpError(404, `No route ${route}`);
+  }
+
+  // Whether a request is addressed to the API itself, by the address and port it listens
+  // on, rather than to a host name a web page had resolve to it (DNS rebinding)
+  function servedHost(header) {
+    let port = server.address().port;
+    let address = net.isIPv6(host) ? `[${host}]` : host;
+    return [`${address}:${port}`, `localhost:${port}`].includes(String(header || "").toLowerCase());
+  }
+
+  function authorized(header) {
+    let given = Buffer.from(String(header || "").replace(/^Bearer /, ""));
+    let expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  return { start: start, stop: stop };
+}
+
+// ---------------------------------------------------------------------
+
+function isLoopback(host) {
+  return /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host) || host === "::1" || host === "localhost";
+}
+
+// Whether a seed is given as "IP:PORT", the IP an IPv4 address: a seed known by a host name
+// never gets its replies taken in, which come from its address
+function isSeedAddress(seed) {
+  let match = typeof seed === "string" && seed.match(/^(.+):(\d+)$/);
+  return Boolean(match) && net.isIPv4(match[1]) && Number(match[2]) >= 1 && Number(match[2]) <= 65535;
+}
+
+// Rejects a request whose method the route does not serve
+function allow(request, ...methods) {
+  if (!methods.includes(request.method)) throw new HttpError(405, `Method ${request.method} not allowed, use ${methods.join(" or ")}`);
+}
+
+// The JSON object sent as the request body. It must be sent as JSON: web pages can only
+// send other types to another origin without asking first
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let type = String(request.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (type !== "application/json") {
+      request.resume();
+      reject(new HttpError(415, "Expected a body of type application/json"));
+      return;
+    }
+    let chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, `Request body larger than ${MAX_BODY_SIZE} bytes`));
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      } catch (err) {
+        reject(new HttpError(400, `Invalid JSON body: ${err.message}`));
+        return;
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(new HttpError(400, "Expected a JSON object body"));
+        return;
+      }
+      resolve(body);
+    });
+    request.on("error", reject);
+  });
+}
+
+function send(response, status, body) {
+  let json = JSON.stringify(body, null, 2) + "\n";
+  response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json) });
+  response.end(json);
+}
+
+// A peer information object as JSON
+function contact(peer) {
+  return { name: peer.peerName, address: `${peer.peerIP}:${peer.peerPort}`, id: peer.peerID };
+}
+
+// The routing table as JSON: the owner, then the buckets holding peers, in prefix order
+function table(dht) {
+  let now = uniqueInstance.now();
+  return {
+    owner: contact(dht.owner),
+    k: dht.k,
+    buckets: dht.prefixes().map(prefix => ({
+      prefix: prefix,
+      contacts: dht.bucket(prefix).map(entry => Object.assign(contact(entry.node), {
+        lastSeen: new Date(entry.lastSeen).toISOString(),
+        secondsSinceSeen: Math.round((now - entry.lastSeen) / 1000),
+        missedPings: entry.missedPings,
+      })),
+      replacements: (dht.replacements[prefix] || []).map(contact),
+    })),
+  };
+}
@@ -0,0 +1,441 @@
+// kadPTP codec: encodes messages into packets and decodes packets back into messages.
+//
+// Packet layout (version 11):
+//   Header (4 bytes): version (4 bits), message type (7 bits), number of peers (9 bits),
+//                     sender name size (12 bits)
+//   Transaction ID (4 bytes): set by the RPC layer on requests and echoed by their replies,
+//                     0 on other messages. Version 9 packets have no transaction ID.
+//   Sender name (UTF-8)
+//   Peers: IP (4 bytes), port (2 bytes), reserved (2 bytes), peer ID (ID width) each
+//   Key payload, for STORE, FIND_VALUE, VALUE, FIND_NODE and NODES only:
+//                     key size (1 byte), key, value size (2 bytes), value (UTF-8)
+//   Session key payload, for HANDSHAKE and SESSION only: the sender's X25519 public key
+//                     for the session (32 bytes)
+//   Error payload, for ERROR only: error code (1 byte), retry after (2 bytes, seconds, 0
+//                     when retrying will not help), reason size (1 byte), reason (UTF-8)
+//   Signature trailer: the sender's Ed25519 public key (32 bytes) and its signature
+//                     (64 bytes) of every byte before the signature. The sender's ID is
+//                     the hash of the key. Versions 9 and 10 packets are unsigned.
+//
+// encode() builds unsigned version 10 packets, which the RPC layer stamps with their
+// transaction ID and then signs into version 11 with sign(). Version 12 packets are
+// version 11 ones sent encrypted, see KADSession; they are not decoded here.
+
+const singleton = require("./Singleton");
+const Identity = require("./KADIdentity");
+
+const VERSION = 11;
+const ENCRYPTED_VERSION = 12; // A version 11 packet inside an encrypted envelope, see KADSession
+const UNSIGNED_VERSION = 10; // Still decoded: the same layout without the signature trailer
+const LEGACY_VERSION = 9;    // Still decoded: the unsigned layout without the transaction ID
+const HEADER_SIZE = 4;
+const TRANSACTION_ID_SIZE = 4;
+const TRAILER_SIZE = Identity.PUBLIC_KEY_SIZE + Identity.SIGNATURE_SIZE;
+const SESSION_KEY_SIZE = 32; // Raw X25519 public key
+
+// kadPTP message types
+const messageTypes = {
+  WELCOME: 1,    // Server greeting carrying its DHT
+  HELLO: 2,      // Peer announcing itself along with its DHT
+  STORE: 3,      // Ask a peer to keep a key/value pair
+  FIND_VALUE: 4, // Ask a peer for the value stored under a key
+  VALUE: 5,      // Reply to FIND_VALUE: the value, or the closest peers if not found
+  FIND_NODE: 6,  // Ask a peer for the contacts it knows closest to a target ID
+  NODES: 7,      // Reply to FIND_NODE carrying the closest contacts
+  PING: 8,       // Liveness check
+  PONG: 9,       // Reply to PING
+  HANDSHAKE: 10, // Offer of an encrypted session, carrying the sender's session key
+  SESSION: 11,   // Reply to HANDSHAKE carrying the other half of the session key
+  ERROR: 12,     // Polite refusal of a message, echoing its transaction ID when it had one
+};
+
+// Why an ERROR message refuses a message
+const errorCodes = {
+  RATE_LIMITED: 1, // The sender's address sends more messages than the peer takes in
+  TOO_LARGE: 2,    // The message is larger than the peer takes in
+  BUSY: 3,         // The peer has as many connections open as it allows
+};
+
+// Message types followed by a key payload
+const keyedTypes = [
+  messageTypes.STORE, messageTypes.FIND_VALUE, messageTypes.VALUE,
+  messageTypes.FIND_NODE, messageTypes.NODES,
+];
+
+// Message types followed by a session key payload
+const handshakeTypes = [messageTypes.HANDSHAKE, messageTypes.SESSION];
+
+// ---------------------------- Errors -----------------------------------------
+
+// Base class of every decoding error, so callers can tell malformed packets from bugs
+class KADPTPError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// The version field is not the one this peer speaks
+class BadVersion extends KADPTPError {
+  constructor(version) {
+    super(`Unsupported kadPTP version ${version}, expected ${LEGACY_VERSION} to ${VERSION}`);
+    this.version = version;
+  }
+}
+
+// The packet ends before a field it announces
+class Truncated extends KADPTPError {
+  constructor(field, needed, available) {
+    super(`Packet truncated in ${field}: needs ${needed} bytes, ${available} left`);
+    this.field = field;
+  }
+}
+
+// The message type field holds no known message type
+class UnknownType extends KADPTPError {
+  constructor(msgType) {
+    super(`Unknown kadPTP message type ${msgType}`);
+    this.msgType = msgType;
+  }
+}
+
+// A field holds a value that cannot be right, or bytes follow the last field
+class Malformed extends KADPTPError {}
+
+// The signature trailer does not match the packet, or the key it carries
+class BadSignature extends KADPTPError {
+  constructor() {
+    super("The signature does not match the packet and its public key");
+  }
+}
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  VERSION: VERSION,
+  UNSIGNED_VERSION: UNSIGNED_VERSION,
+  ENCRYPTED_VERSION: ENCRYPTED_VERSION,
+  LEGACY_VERSION: LEGACY_VERSION,
+  messageTypes: messageTypes,
+  errorCodes: errorCodes,
+
+  KADPTPError: KADPTPError,
+  BadVersion: BadVersion,
+  Truncated: Truncated,
+  UnknownType: UnknownType,
+  Malformed: Malformed,
+  BadSignature: BadSignature,
+
+  //--------------------------
+  //typeName: the name of a message type, e.g. 6 -> "FIND_NODE", or "UNKNOWN"
+  //--------------------------
+  typeName: function (msgType) {
+    return Object.keys(messageTypes).find(name => messageTypes[name] === msgType) || "UNKNOWN";
+  },
+
+  //--------------------------
+  //encode: builds the unsigned (version 10) packet of a message
+  //  message.msgType    - one of messageTypes
+  //  message.senderName - the sender's name
+  //  message.peers      - peer information objects (peerIP, peerPort, peerID), may be empty
+  //  message.key        - hex key, required by the keyed message types
+  //  message.value      - value string, optional, keyed message types only
+  //  message.sessionKey - raw X25519 public key, required by HANDSHAKE and SESSION
+  //  message.errorCode  - one of errorCodes, required by ERROR, along with the optional
+  //                       message.retryAfter (seconds) and message.reason
+  //  message.transactionID - 32-bit transaction ID, optional (0)
+  //--------------------------
+  encode: function (message) {
+    const msgType = message.msgType;
+    if (!isKnownType(msgType)) throw new UnknownType(msgType);
+
+    const peers = message.peers || [];
+    const senderName = Buffer.from(message.senderName || "", "utf8");
+    const payload = keyedTypes.includes(msgType) ? encodePayload(message)
+      : handshakeTypes.includes(msgType) ? encodeSessionKey(message)
+      : msgType === messageTypes.ERROR ? encodeError(message)
+      : Buffer.alloc(0);
+
+    if (peers.length > 511) throw new RangeError(`Too many peers for one packet: ${peers.length}`);
+    if (senderName.length > 4095) throw new RangeError(`Sender name too long: ${senderName.length} bytes`);
+
+    const packet = Buffer.alloc(HEADER_SIZE + TRANSACTION_ID_SIZE + senderName.length + peers.length * peerSize() + payload.length);
+
+    // Header
+    storeBitPacket(packet, UNSIGNED_VERSION, 0, 4);
+    storeBitPacket(packet, msgType, 4, 7);
+    storeBitPacket(packet, peers.length, 11, 9);
+    storeBitPacket(packet, senderName.length, 20, 12);
+    let offset = HEADER_SIZE;
+
+    // Transaction ID
+    packet.writeUInt32BE(message.transactionID || 0, offset);
+    offset += TRANSACTION_ID_SIZE;
+
+    // Sender Name
+    senderName.copy(packet, offset);
+    offset += senderName.length;
+
+    // Peers
+    peers.forEach(peer => {
+      ipv4Octets(peer.peerIP).forEach(octet => packet.writeUInt8(octet, offset++));
+      packet.writeUInt16BE(peer.peerPort, offset);
+      offset += 2;
+      offset += 2; // Reserved, left zeroed out
+      const peerID = singleton.idToBuffer(peer.peerID);
+      if (peerID.length !== singleton.getIDBytes()) {
+        throw new RangeError(`Peer ID ${peer.peerID} is not ${singleton.getIDBits()} bits wide`);
+      }
+      peerID.copy(packet, offset);
+      offset += peerID.length;
+    });
+
+    // Key payload
+    payload.copy(packet, offset);
+    return packet;
+  },
+
+  //--------------------------
+  //decode: parses a packet, checking every field against the packet bounds and the
+  //signature of signed packets. Returns { version, msgType, transactionID, senderName,
+  //peersList, senderKey, senderID } plus key and value for the keyed message types,
+  //sessionKey for HANDSHAKE and SESSION, and errorCode, retryAfter and reason for ERROR; the
+  //sender's key and ID are null on unsigned packets. Throws BadVersion, Truncated,
+  //UnknownType, Malformed or BadSignature.
+  //--------------------------
+  decode: function (data) {
+    if (data.length < HEADER_SIZE) throw new Truncated("header", HEADER_SIZE, data.length);
+
+    const version = parseBitPacket(data, 0, 4);
+    if (version < LEGACY_VERSION || version > VERSION) throw new BadVersion(version);
+
+    // Signature trailer, checked before anything else is read
+    let senderKey = null;
+    if (version === VERSION) {
+      need(data, HEADER_SIZE, TRAILER_SIZE, "signature trailer");
+      const signedSize = data.length - Identity.SIGNATURE_SIZE;
+      senderKey = Buffer.from(data.slice(signedSize - Identity.PUBLIC_KEY_SIZE, signedSize));
+      if (!Identity.verify(senderKey, data.slice(0, signedSize), data.slice(signedSize))) throw new BadSignature();
+      data = data.slice(0, data.length - TRAILER_SIZE);
+    }
+
+    const msgType = parseBitPacket(data, 4, 7);
+    if (!isKnownType(msgType)) throw new UnknownType(msgType);
+
+    const numPeers = parseBitPacket(data, 11, 9);
+    const nameSize = parseBitPacket(data, 20, 12);
+    let offset = HEADER_SIZE;
+
+    // Transaction ID
+    let transactionID = 0;
+    if (version !== LEGACY_VERSION) {
+      need(data, offset, TRANSACTION_ID_SIZE, "transaction ID");
+      transactionID = data.readUInt32BE(offset);
+      offset += TRANSACTION_ID_SIZE;
+    }
+
+    // Sender Name
+    need(data, offset, nameSize, "sender name");
+    const senderName = data.slice(offset, offset + nameSize).toString("utf8");
+    offset += nameSize;
+
+    // Peers
+    const idBytes = singleton.getIDBytes();
+    need(data, offset, numPeers * peerSize(), "peers list");
+    const peersList = [];
+    for (let i = 0; i < numPeers; i++) {
+      const peerIP = [0, 1, 2, 3].map(j => data[offset + j]).join('.');
+      const peerPort = data.readUInt16BE(offset + 4);
+      const peerID = data.slice(offset + 8, offset + 8 + idBytes).toString("hex");
+      peersList.push({ peerIP: peerIP, peerPort: peerPort, peerID: peerID });
+      offset += peerSize();
+    }
+
+    const packet = {
+      version: version, msgType: msgType, transactionID: transactionID, senderName: senderName, peersList: peersList,
+      senderKey: senderKey, senderID: senderKey ? Identity.idOf(senderKey) : null,
+    };
+
+    // Key payload
+    if (keyedTypes.includes(msgType)) {
+      need(data, offset, 1, "key size");
+      const keySize = data[offset++];
+      if (keySize !== idBytes) throw new Malformed(`Key of ${keySize} bytes, expected ${idBytes}`);
+      need(data, offset, keySize, "key");
+      packet.key = data.slice(offset, offset + keySize).toString("hex");
+      offset += keySize;
+
+      need(data, offset, 2, "value size");
+      const valueSize = data.readUInt16BE(offset);
+      offset += 2;
+      need(data, offset, valueSize, "value");
+      packet.value = data.slice(offset, offset + valueSize).toString("utf8");
+      offset += valueSize;
+    }
+
+    // Session key payload
+    if (handshakeTypes.includes(msgType)) {
+      need(data, offset, SESSION_KEY_SIZE, "session key");
+      packet.sessionKey = Buffer.from(data.slice(offset, offset + SESSION_KEY_SIZE));
+      offset += SESSION_KEY_SIZE;
+    }
+
+    // Error payload
+    if (msgType === messageTypes.ERROR) {
+      need(data, offset, 4, "error code");
+      packet.errorCode = data[offset];
+      packet.retryAfter = data.readUInt16BE(offset + 1);
+      const reasonSize = data[offset + 3];
+      offset += 4;
+      need(data, offset, reasonSize, "error reason");
+      packet.reason = data.slice(offset, offset + reasonSize).toString("utf8");
+      offset += reasonSize;
+    }
+
+    if (offset !== data.length) {
+      throw new Malformed(`${data.length - offset} unexpected bytes after the last field`);
+    }
+    return packet;
+  },
+
+  //--------------------------
+  //peekVersion: reads the version of a packet from its header, or null when it is empty
+  //--------------------------
+  peekVersion: function (data) {
+    return data.length < 1 ? null : parseBitPacket(data, 0, 4);
+  },
+
+  //--------------------------
+  //peekType: reads the message type of a packet from its header, without decoding the rest.
+  //Returns null when the packet is shorter than a header.
+  //--------------------------
+  peekType: function (data) {
+    return data.length < HEADER_SIZE ? null : parseBitPacket(data, 4, 7);
+  },
+
+  //--------------------------
+  //peekTransactionID: reads the transaction ID of a plaintext packet without decoding it.
+  //Returns 0 when it has none, or when the packet is encrypted or too short to tell.
+  //--------------------------
+  peekTransactionID: function (data) {
+    if (data.length < HEADER_SIZE + TRANSACTION_ID_SIZE) return 0;
+    const version = parseBitPacket(data, 0, 4);
+    return version === UNSIGNED_VERSION || version === VERSION ? data.readUInt32BE(HEADER_SIZE) : 0;
+  },
+
+  //--------------------------
+  //withTransactionID: returns a copy of an unsigned packet carrying another transaction ID
+  //--------------------------
+  withTransactionID: function (data, transactionID) {
+    if (parseBitPacket(data, 0, 4) === VERSION) throw new Error("A signed packet cannot take another transaction ID");
+    const packet = Buffer.from(data);
+    packet.writeUInt32BE(transactionID, HEADER_SIZE);
+    return packet;
+  },
+
+  //--------------------------
+  //sign: turns an unsigned (version 10) packet into a version 11 one, signed by identity,
+  //a KADIdentity, whose public key and signature are appended
+  //--------------------------
+  sign: function (data, identity) {
+    if (parseBitPacket(data, 0, 4) !== UNSIGNED_VERSION) throw new Error(`Only unsigned version ${UNSIGNED_VERSION} packets can be signed`);
+    const signed = Buffer.concat([data, identity.publicKey]);
+    storeBitPacket(signed, VERSION, 0, 4);
+    return Buffer.concat([signed, identity.sign(signed)]);
+  },
+};
+
+// ---------------------------------------------------------------------
+
+function isKnownType(msgType) {
+  return Object.values(messageTypes).includes(msgType);
+}
+
+// Size of one peer entry: IP, port, reserved and peer ID
+function peerSize() {
+  return 4 + 2 + 2 + singleton.getIDBytes();
+}
+
+// Throws Truncated unless `size` bytes are available at `offset`
+function need(data, offset, size, field) {
+  if (offset + size > data.length) throw new Truncated(field, size, data.length - offset);
+}
+
+// Octets of an IPv4 address, also accepting the IPv4-mapped IPv6 form (::ffff:a.b.c.d)
+function ipv4Octets(ip) {
+  const octets = String(ip).replace(/^::ffff:/i, "").split('.').map(Number);
+  if (octets.length !== 4 || octets.some(o => !Number.isInteger(o) || o < 0 || o > 255)) {
+    throw new RangeError(`Not an IPv4 address: ${ip}`);
+  }
+  return octets;
+}
+
+// Key payload: key size (1 byte), key, value size (2 bytes), value
+function encodePayload(message) {
+  if (!message.key) throw new RangeError(`Message type ${message.msgType} needs a key`);
+  const key = singleton.idToBuffer(message.key);
+  const value = Buffer.from(message.value || "", "utf8");
+  if (value.length > 0xffff) throw new RangeError(`Value too long: ${value.length} bytes`);
+
+  const bytes = Buffer.alloc(1 + key.length + 2 + value.length);
+  bytes.writeUInt8(key.length, 0);
+  key.copy(bytes, 1);
+  bytes.writeUInt16BE(value.length, 1 + key.length);
+  value.copy(bytes, 1 + key.length + 2);
+  return bytes;
+}
+
+// Session key payload: the sender's X25519 public key
+function encodeSessionKey(message) {
+  if (!Buffer.isBuffer(message.sessionKey) || message.sessionKey.length !== SESSION_KEY_SIZE) {
+    throw new RangeError(`Message type ${message.msgType} needs a ${SESSION_KEY_SIZE}-byte session key`);
+  }
+  return message.sessionKey;
+}
+
+// Error payload: error code (1 byte), retry after (2 bytes), reason size (1 byte), reason
+function encodeError(message) {
+  if (!Object.values(errorCodes).includes(message.errorCode)) {
+    throw new RangeError(`Message type ${message.msgType} needs an error code, got ${message.errorCode}`);
+  }
+  const retryAfter = message.retryAfter || 0;
+  if (!Number.isInteger(retryAfter) || retryAfter < 0 || retryAfter > 0xffff) throw new RangeError(`Invalid retry delay: ${retryAfter}`);
+  const reason = Buffer.from(message.reason || "", "utf8");
+  if (reason.length > 0xff) throw new RangeError(`Error reason too long: ${reason.length} bytes`);
+
+  const bytes = Buffer.alloc(4 + reason.length);
+  bytes.writeUInt8(message.errorCode, 0);
+  bytes.writeUInt16BE(retryAfter, 1);
+  bytes.writeUInt8(reason.length, 3);
+  reason.copy(bytes, 4);
+  return bytes;
+}
+
+// Store integer value into the packet bit stream
+function storeBitPacket(packet, value, offset, length) {
+  // let us get the actual byte position of the offset
+  let lastBitPosition = offset + length - 1;
+  const number = value.toString(2);
+  let j = number.length - 1;
+  for (let i = 0; i < number.length; i++) {
+    const bytePosition = Math.floor(lastBitPosition / 8);
+    const bitPosition = 7 - (lastBitPosition % 8);
+    if (number.charAt(j--) === "0") {
+      packet[bytePosition] &= ~(1 << bitPosition);
+    } else {
+      packet[bytePosition] |= 1 << bitPosition;
+    }
+    lastBitPosition--;
+  }
+}
+
+// Read an integer value from the packet bit stream
+function parseBitPacket(packet, offset, length) {
+  let number = 0;
+  for (var i = 0; i < length; i++) {
+    let bytePosition = Math.floor((offset + i) / 8);
+    let bitPosition = 7 - ((offset + i) % 8);
+    let bit = (packet[bytePosition] >> bitPosition) & 1;
+    number = (number << 1) | bit;
+  }
+  return number;
+}
@@ -0,0 +1,405 @@
+let fs = require("fs");
+let net = require("net");
+let os = require("os");
+let path = require("path");
+let logger = require("./KADLogger");
+
+// The settings of a peer, each settable on the command line (--name, ...) and in the
+// config file (name: ...). `key` is the name the setting gets in the loaded settings; a
+// `switch` takes no value on the command line, where giving it turns it on.
+const options = {
+  "name":             { key: "name", alias: "-n", arg: "NAME", parse: parseString, help: "name sent along with every message (default: the host name)" },
+  "host":             { key: "host", arg: "IP", parse: parseHost, help: "IPv4 address to listen on and give to other peers (default: 127.0.0.1)" },
+  "port":             { key: "port", alias: "-l", arg: "PORT", parse: parsePort, help: "port to listen on (default: a random port above 3000)" },
+  "bootstrap":        { key: "bootstrap", alias: "-p", arg: "IP:PORT", parse: parseAddress, repeatable: true, help: "seed peer to join through, repeatable" },
+  "k":                { key: "k", arg: "N", parse: parseCount, help: "bucket size and replication factor (default: 20)" },
+  "alpha":            { key: "alpha", arg: "N", parse: parseCount, help: "lookup parallelism (default: 3)" },
+  "id-bits":          { key: "idBits", arg: "BITS", parse: parseIDBits, help: "width of peer and key IDs, a multiple of 8 (default: 160)" },
+  "log-level":        { key: "logLevel", arg: "LEVEL", parse: parseLogLevel, help: "error, warn, info or debug (default: info)" },
+  "log-format":       { key: "logFormat", arg: "FORMAT", parse: parseLogFormat, help: "text, human-readable lines, or json, JSON lines (default: text)" },
+  "data-dir":         { key: "dataDir", arg: "DIR", parse: parseString, help: "directory to keep the identity, contacts and values in (default: none)" },
+  "admin-port":       { key: "adminPort", arg: "PORT", parse: parsePort, help: "serve the admin HTTP API on this loopback port (default: off)" },
+  "admin-token":      { key: "adminToken", arg: "TOKEN", parse: parseString, help: "token the admin API requires as `Authorization: Bearer TOKEN`" },
+  "metrics-port":     { key: "metricsPort", arg: "PORT", parse: parsePort, help: "serve Prometheus metrics on this port (default: off)" },
+  "metrics-host":     { key: "metricsHost", arg: "IP", parse: parseBindAddress, help: "address to serve the metrics on, 0.0.0.0 for every interface (default: 127.0.0.1)" },
+  "encrypt":          { key: "encrypt", switch: true, parse: parseBoolean, help: "send messages through encrypted sessions (default: plaintext, signed)" },
+  "rate-limit":       { key: "rateLimit", arg: "N", parse: parseRate, help: "messages per second taken in from each IP address (default: 50)" },
+  "max-message-size": { key: "maxMessageSize", arg: "BYTES", parse: parseMessageSize, help: "largest message taken in (default: 131072)" },
+  "max-connections":  { key: "maxConnections", arg: "N", parse: parseConnections, help: "incoming TCP connections open at once (default: 256)" },
+  "unlimited-subnet": { key: "unlimitedSubnets", arg: "IP[/BITS]", parse: parseSubnet, repeatable: true, help: "addresses exempt from the per-IP and per-subnet contact limits, repeatable (default: 127.0.0.0/8)" },
+  "shell":            { key: "shell", switch: true, parse: parseBoolean, help: "read commands from the terminal, see `help` in the shell" },
+};
+
+const defaults = {
+  name: os.hostname(),
+  host: "127.0.0.1",
+  port: null, // A random port, picked by KademliaNode
+  bootstrap: [],
+  k: 20,
+  alpha: 3,
+  idBits: 160,
+  logLevel: "info",
+  logFormat: "text",
+  dataDir: null,
+  adminPort: null,
+  adminToken: null,
+  metricsPort: null,
+  metricsHost: "127.0.0.1",
+  encrypt: false,
+  rateLimit: 50,
+  maxMessageSize: 128 * 1024,
+  maxConnections: 256,
+  unlimitedSubnets: ["127.0.0.0/8"],
+  shell: false,
+};
+
+// An invalid command line or config file
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  defaults: defaults,
+  ConfigError: ConfigError,
+
+  /**
+   * Loads the settings of a peer. Every setting is taken from the command line if given
+   * there, else from the config file named by `--config` if it has it, else from the
+   * defaults. A repeatable setting given on the command line replaces the file's list.
+   *
+   * @param {Array} argv - The command line arguments, without the node and script paths.
+   * @returns {Object} The settings, or `{ help: true }` when help was asked for.
+   * @throws {ConfigError} On an unknown option, an invalid value or an unreadable file.
+   */
+  load: load,
+
+  /**
+   * Parses command line arguments: long options (`--port 4000` or `--port=4000`), their
+   * short aliases, `--config FILE` and `--help`.
+   *
+   * @param {Array} argv - The command line arguments.
+   * @returns {Object} `{ help, config, values }`, `values` holding the settings given.
+   * @throws {ConfigError} On an unknown option or an invalid value.
+   */
+  parseArguments: parseArguments,
+
+  /**
+   * Reads a config file: JSON when its name ends in .json, YAML otherwise.
+   *
+   * @param {string} file - The path of the file.
+   * @returns {Object} The settings it holds.
+   * @throws {ConfigError} On an unreadable file, invalid syntax or an invalid setting.
+   */
+  readConfigFile: readConfigFile,
+
+  /**
+   * Parses the YAML subset config files are written in: a mapping of settings to scalars
+   * (strings, quoted or not, numbers, booleans, null) or to lists, either `[a, b]` or one
+   * `- item` per line below the key. Comments start with #.
+   *
+   * @param {string} text - The YAML text.
+   * @returns {Object} The mapping.
+   * @throws {ConfigError} On anything outside the subset.
+   */
+  parseYaml: parseYaml,
+
+  /**
+   * @returns {string} The --help text.
+   */
+  usage: usage,
+};
+
+// ---------------------------------------------------------------------
+function load(argv) {
+  let cli = parseArguments(argv);
+  if (cli.help) return { help: true };
+
+  let file = cli.config ? readConfigFile(cli.config) : {};
+  return Object.assign({}, defaults, file, cli.values);
+}
+
+// ---------------------------------------------------------------------
+function parseArguments(argv) {
+  let result = { help: false, config: null, values: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inline = null;
+    if (arg.startsWith("--") && arg.includes("=")) {
+      inline = arg.slice(arg.indexOf("=") + 1);
+      arg = arg.slice(0, arg.indexOf("="));
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      result.help = true;
+      continue;
+    }
+
+    let name = arg === "-c" ? "config" : optionNamed(arg);
+    if (!name) throw new ConfigError(`Unknown option ${arg}`);
+    if (name !== "config" && options[name].switch && inline === null) {
+      setValue(result.values, name, true, "the command line");
+      continue;
+    }
+    let value = inline !== null ? inline : argv[++i];
+    if (value === undefined) throw new ConfigError(`Option ${arg} needs a value`);
+
+    if (name === "config") {
+      result.config = value;
+    } else {
+      setValue(result.values, name, value, "the command line");
+    }
+  }
+  return result;
+}
+
+// The name of the setting a command line option sets, undefined if there is none
+function optionNamed(arg) {
+  if (arg === "--config") return "config";
+  if (arg.startsWith("--") && options[arg.slice(2)]) return arg.slice(2);
+  return Object.keys(options).find(name => options[name].alias === arg);
+}
+
+// Parses and stores a setting, appending to the list of a repeatable one
+function setValue(values, name, value, source) {
+  let option = options[name];
+  let parsed;
+  try {
+    parsed = option.parse(value);
+  } catch (err) {
+    throw new ConfigError(`Invalid ${name} in ${source}: ${err.message}`);
+  }
+  if (option.repeatable) {
+    values[option.key] = (values[option.key] || []).concat(parsed);
+  } else {
+    values[option.key] = parsed;
+  }
+}
+
+// ---------------------------------------------------------------------
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new ConfigError(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  let settings;
+  if (path.extname(file).toLowerCase() === ".json") {
+    try {
+      settings = JSON.parse(text);
+    } catch (err) {
+      throw new ConfigError(`Invalid JSON in config file ${file}: ${err.message}`);
+    }
+  } else {
+    try {
+      settings = parseYaml(text);
+    } catch (err) {
+      throw new ConfigError(`Invalid YAML in config file ${file}: ${err.message}`);
+    }
+  }
+  if (settings === null || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new ConfigError(`Config file ${file} must hold a mapping of settings`);
+  }
+
+  let values = {};
+  Object.keys(settings).forEach(name => {
+    if (!options[name]) throw new ConfigError(`Unknown setting ${name} in config file ${file}`);
+    [].concat(settings[name]).forEach(value => setValue(values, name, value, `config file ${file}`));
+  });
+  return values;
+}
+
+// ---------------------------------------------------------------------
+function parseYaml(text) {
+  let result = {};
+  let list = null; // The key whose "- item" lines come next
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    let line = stripComment(raw);
+    if (line.trim() === "") return;
+    let where = `line ${index + 1}`;
+
+    let item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item) {
+      if (!list) throw new Error(`${where}: list item outside of a list`);
+      result[list].push(yamlScalar(item[1], where));
+      return;
+    }
+
+    let entry = line.match(/^([A-Za-z0-9_-]+):(?:\s+(.*))?$/);
+    if (!entry) throw new Error(`${where}: expected "key: value"`);
+    let [, key, value] = entry;
+    if (key in result) throw new Error(`${where}: ${key} is set twice`);
+
+    if (value === undefined || value.trim() === "") {
+      result[key] = [];
+      list = key;
+    } else if (value.trim().startsWith("[")) {
+      let inner = value.trim().match(/^\[(.*)\]$/);
+      if (!inner) throw new Error(`${where}: unterminated list`);
+      result[key] = inner[1].trim() === "" ? [] : inner[1].split(",").map(part => yamlScalar(part, where));
+      list = null;
+    } else {
+      result[key] = yamlScalar(value, where);
+      list = null;
+    }
+  });
+  return result;
+}
+
+// Drops a comment: a # at the start of the line or after a space, outside quotes
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    let c = line[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function yamlScalar(text, where) {
+  let value = text.trim();
+  let quoted = value.match(/^"(.*)"$/) || value.match(/^'(.*)'$/);
+  if (quoted) return quoted[1];
+  if (value.startsWith('"') || value.startsWith("'")) throw new Error(`${where}: unterminated string`);
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value === "null" || value === "~") return null;
+  if (/^-?\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+// ---------------------------------------------------------------------
+function usage() {
+  let lines = [
+    "Usage: node KADpeer [options]",
+    "",
+    "Starts a Kademlia peer. It listens on HOST:PORT and joins the network through the",
+    "bootstrap peers, if any; without them it waits for other peers to join through it.",
+    "",
+    "Options:",
+  ];
+  let flags = Object.keys(options).map(name => {
+    let option = options[name];
+    return (option.alias ? `${option.alias}, ` : "    ") + `--${name}` + (option.arg ? ` ${option.arg}` : "");
+  });
+  let width = Math.max(...flags.map(flag => flag.length)) + 2; // The help texts line up past the longest flag
+  Object.keys(options).forEach((name, i) => lines.push(`  ${flags[i].padEnd(width)}${options[name].help}`));
+  lines.push(`  ${"-c, --config FILE".padEnd(width)}read settings from a JSON (.json) or YAML file`);
+  lines.push(`  ${"-h, --help".padEnd(width)}show this help`);
+  lines.push(
+    "",
+    "The config file holds the same settings, without the dashes, e.g. in YAML:",
+    "",
+    "  host: 192.168.1.10",
+    "  port: 4000",
+    "  bootstrap:",
+    "    - 192.168.1.11:4000",
+    "",
+    "Options given on the command line take precedence over the config file, which takes",
+    "precedence over the defaults. Bootstrap peers given on the command line replace those",
+    "of the config file."
+  );
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------
+// Setting parsers: each takes a string (command line) or a JSON/YAML value and returns the
+// setting, or throws an Error saying what is wrong with it
+
+function parseString(value) {
+  if (typeof value !== "string" || value === "") throw new Error("expected a non-empty string");
+  return value;
+}
+
+function parseBoolean(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw new Error(`expected true or false, got ${value}`);
+}
+
+function parseInteger(value, min, max) {
+  let number = typeof value === "number" ? value : (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`expected an integer from ${min} to ${max}, got ${value}`);
+  }
+  return number;
+}
+
+function parseHost(value) {
+  let octets = String(value).split(".");
+  if (octets.length !== 4 || !octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255)) {
+    throw new Error(`expected an IPv4 address, got ${value}`);
+  }
+  if (value === "0.0.0.0") throw new Error("0.0.0.0 cannot be given to other peers, use the address of an interface");
+  return value;
+}
+
+// An address to bind a local server to, which unlike `host` is never given to other peers
+function parseBindAddress(value) {
+  if (!net.isIP(String(value))) throw new Error(`expected an IP address, got ${value}`);
+  return String(value);
+}
+
+function parsePort(value) {
+  return parseInteger(value, 1, 65535);
+}
+
+function parseCount(value) {
+  return parseInteger(value, 1, 1000);
+}
+
+function parseRate(value) {
+  return parseInteger(value, 1, 100000);
+}
+
+function parseMessageSize(value) {
+  return parseInteger(value, 1024, 1024 * 1024); // Up to the largest TCP frame
+}
+
+function parseConnections(value) {
+  return parseInteger(value, 1, 65535);
+}
+
+function parseIDBits(value) {
+  let bits = parseInteger(value, 8, 2040); // A kadPTP key is at most 255 bytes
+  if (bits % 8 !== 0) throw new Error(`expected a multiple of 8, got ${value}`);
+  return bits;
+}
+
+function parseLogLevel(value) {
+  if (!logger.levels.includes(value)) throw new Error(`expected one of ${logger.levels.join(", ")}, got ${value}`);
+  return value;
+}
+
+function parseLogFormat(value) {
+  if (!logger.formats.includes(value)) throw new Error(`expected one of ${logger.formats.join(", ")}, got ${value}`);
+  return value;
+}
+
+function parseSubnet(value) {
+  let match = String(value).match(/^([^/]+)(?:\/(\d+))?$/);
+  if (!match || !net.isIPv4(match[1])) throw new Error(`expected IP or IP/BITS, got ${value}`);
+  if (match[2] !== undefined) parseInteger(match[2], 0, 32);
+  return String(value);
+}
+
+function parseAddress(value) {
+  let match = String(value).match(/^(.+):(\d+)$/);
+  if (!match) throw new Error(`expected IP:PORT, got ${value}`);
+  parseHost(match[1]);
+  parsePort(match[2]);
+  return String(value);
+}
@@ -0,0 +1,79 @@
+// Stream framing for kadPTP over TCP. TCP delivers a byte stream, so one 'data' event may
+// carry part of a packet or several packets at once. Every packet is sent with a 4-byte
+// big-endian length prefix, and the decoder buffers incoming bytes until whole packets
+// can be handed out.
+
+const log = require("./KADLogger").create("transport");
+
+// Size of the length prefix in front of every packet
+const PREFIX_SIZE = 4;
+
+// Largest packet accepted when no smaller limit is given; a bigger length prefix means
+// the stream is corrupt
+const MAX_FRAME_SIZE = 1024 * 1024;
+
+module.exports = {
+  PREFIX_SIZE: PREFIX_SIZE,
+  MAX_FRAME_SIZE: MAX_FRAME_SIZE,
+
+  //--------------------------
+  //frame: returns the packet preceded by its length, ready to be written to a socket
+  //--------------------------
+  frame: function (packet) {
+    const prefix = Buffer.alloc(PREFIX_SIZE);
+    prefix.writeUInt32BE(packet.length, 0);
+    return Buffer.concat([prefix, packet]);
+  },
+
+  //--------------------------
+  //createDecoder: returns a decoder whose push(chunk) calls onMessage(packet) for every
+  //whole packet received so far, in order. onError(err) is called once if the stream
+  //announces a packet larger than maxSize (MAX_FRAME_SIZE by default), before any of it
+  //is buffered; the decoder ignores any data after that.
+  //--------------------------
+  createDecoder: function (onMessage, onError, maxSize = MAX_FRAME_SIZE) {
+    let buffered = Buffer.alloc(0);
+    let failed = false;
+
+    return {
+      push: function (chunk) {
+        if (failed) return;
+        buffered = Buffer.concat([buffered, chunk]);
+
+        while (buffered.length >= PREFIX_SIZE) {
+          const size = buffered.readUInt32BE(0);
+          if (size > maxSize) {
+            failed = true;
+            buffered = Buffer.alloc(0);
+            if (onError) onError(new Error(`Frame of ${size} bytes exceeds the ${maxSize} bytes limit`));
+            return;
+          }
+          if (buffered.length < PREFIX_SIZE + size) return; // Wait for the rest of the packet
+
+          const packet = buffered.slice(PREFIX_SIZE, PREFIX_SIZE + size);
+          buffered = buffered.slice(PREFIX_SIZE + size);
+          onMessage(packet);
+        }
+      },
+
+      // Number of bytes received that do not form a whole packet yet
+      pending: function () {
+        return buffered.length;
+      },
+    };
+  },
+
+  //--------------------------
+  //attach: decodes the 'data' events of a socket, calling onMessage(packet) per packet.
+  //A packet larger than maxSize is handed to onTooLarge(err) when given; otherwise the
+  //stream is taken as corrupt, logged and the socket destroyed.
+  //--------------------------
+  attach: function (socket, onMessage, maxSize, onTooLarge) {
+    const decoder = this.createDecoder(onMessage, onTooLarge || ((err) => {
+      log.warn("stream-corrupt", "Dropping connection with {address}: {error}", { address: `${socket.remoteAddress}:${socket.remotePort}`, error: err.message });
+      socket.destroy();
+    }), maxSize);
+    socket.on('data', (data) => decoder.push(data));
+    return decoder;
+  },
+};
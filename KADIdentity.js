@@ -0,0 +1,99 @@
+let crypto = require("crypto");
+let uniqueInstance = require("./Singleton");
+
+const PUBLIC_KEY_SIZE = 32; // Bytes of a raw Ed25519 public key
+const SIGNATURE_SIZE = 64;  // Bytes of an Ed25519 signature
+
+// ---------------------------------------------------------------------
+/**
+ * The Ed25519 keypair a peer proves who it is with. The peer ID is the hash of the public
+ * key, so a peer can only claim the ID of a key it holds: every kadPTP message is signed
+ * with the private key and carries the public key, which the receiver checks the signature
+ * against and hashes back into the sender's ID.
+ *
+ *   const identity = Identity.generate();
+ *   const signature = identity.sign(data);
+ *   Identity.verify(identity.publicKey, data, signature); // true
+ *   Identity.idOf(identity.publicKey) === identity.id;     // true
+ */
+class Identity {
+  /**
+   * @param {KeyObject} privateKey - An Ed25519 private key.
+   */
+  constructor(privateKey) {
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new Error(`Expected an Ed25519 private key, got ${privateKey.asymmetricKeyType}`);
+    }
+    this.privateKey = privateKey;
+    this.publicKey = Buffer.from(crypto.createPublicKey(privateKey).export({ format: "jwk" }).x, "base64url");
+  }
+
+  /**
+   * @returns {Identity} A new identity, with a fresh keypair.
+   */
+  static generate() {
+    return new Identity(crypto.generateKeyPairSync("ed25519").privateKey);
+  }
+
+  /**
+   * @param {string} pem - A private key in the PKCS #8 PEM format, as written by `toPem()`.
+   * @returns {Identity} The identity of the key.
+   */
+  static fromPem(pem) {
+    return new Identity(crypto.createPrivateKey(pem));
+  }
+
+  /**
+   * The hex ID of a peer holding a public key, as wide as the IDs in use.
+   *
+   * @param {Buffer} publicKey - A raw Ed25519 public key.
+   * @returns {string} The peer ID.
+   */
+  static idOf(publicKey) {
+    return uniqueInstance.hashToID(publicKey);
+  }
+
+  /**
+   * @param {Buffer} publicKey - The raw Ed25519 public key of the signer.
+   * @param {Buffer} data - The signed data.
+   * @param {Buffer} signature - The signature.
+   * @returns {boolean} True if the signature is the key's over the data.
+   */
+  static verify(publicKey, data, signature) {
+    if (publicKey.length !== PUBLIC_KEY_SIZE || signature.length !== SIGNATURE_SIZE) return false;
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: publicKey.toString("base64url") }, format: "jwk" });
+    } catch (err) {
+      return false; // Not a point of the curve
+    }
+    return crypto.verify(null, data, key, signature);
+  }
+
+  /**
+   * The hex ID of the peer, derived from its public key.
+   */
+  get id() {
+    return Identity.idOf(this.publicKey);
+  }
+
+  /**
+   * @param {Buffer} data - The data to sign.
+   * @returns {Buffer} The signature, SIGNATURE_SIZE bytes.
+   */
+  sign(data) {
+    return crypto.sign(null, data, this.privateKey);
+  }
+
+  /**
+   * @returns {string} The private key in the PKCS #8 PEM format.
+   */
+  toPem() {
+    return this.privateKey.export({ type: "pkcs8", format: "pem" });
+  }
+}
+
+Identity.PUBLIC_KEY_SIZE = PUBLIC_KEY_SIZE;
+Identity.SIGNATURE_SIZE = SIGNATURE_SIZE;
+
+module.exports = Identity;
@@ -0,0 +1,78 @@
+// Log levels, most severe first: a logger configured at a level logs it and those above
+const levels = ["error", "warn", "info", "debug"];
+
+const formats = ["text", "json"];
+
+// The configuration shared by every logger of the process
+let settings = {
+  level: "info",
+  format: "text",
+  write: (line) => console.log(line),
+};
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  levels: levels,
+  formats: formats,
+
+  /**
+   * Configures every logger of the process.
+   *
+   * @param {Object} options - Optional `level` ("info" by default), `format`, "text" for
+   *                           human-readable lines (the default) or "json" for JSON lines,
+   *                           and `write(line)`, where lines go (console.log by default).
+   */
+  configure: configure,
+
+  /**
+   * Creates the logger of a subsystem, e.g. "bucket", "rpc", "transport" or "store". Its
+   * `error`, `warn`, `info` and `debug` methods log an event:
+   *
+   *   log.info("peer-replaced", "Peer {replacement} replaces peer {peer} in bucket P{bucket}",
+   *            { replacement: newID, peer: oldID, bucket: 3 });
+   *
+   * `event` names what happened, and `{name}` placeholders in the message are filled from
+   * `fields`. A text line reads `info  [bucket] Peer 9f... replaces peer 3c... in bucket P3`;
+   * a JSON line carries `time`, `level`, `tag`, `event`, `msg` and the fields, a field named
+   * like one of those being left out rather than overwriting it.
+   *
+   * @param {string} tag - The subsystem.
+   * @returns {Object} The logger.
+   */
+  create: create
+};
+
+// ---------------------------------------------------------------------
+function configure(options = {}) {
+  if (options.level !== undefined && !levels.includes(options.level)) {
+    throw new RangeError(`Unknown log level ${options.level}, expected one of ${levels.join(", ")}`);
+  }
+  if (options.format !== undefined && !formats.includes(options.format)) {
+    throw new RangeError(`Unknown log format ${options.format}, expected one of ${formats.join(", ")}`);
+  }
+  settings = Object.assign({}, settings, options);
+}
+
+// ---------------------------------------------------------------------
+function create(tag) {
+  let logger = {};
+  levels.forEach(level => {
+    logger[level] = (event, message, fields = {}) => log(level, tag, event, message, fields);
+  });
+  return logger;
+}
+
+function log(level, tag, event, message, fields) {
+  if (levels.indexOf(level) > levels.indexOf(settings.level)) return;
+  let text = message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in fields ? String(fields[name]) : placeholder));
+
+  if (settings.format === "json") {
+    let record = { time: new Date().toISOString(), level: level, tag: tag, event: event, msg: text };
+    Object.keys(fields).forEach(name => {
+      if (!(name in record)) record[name] = fields[name]; // The reserved keys win
+    });
+    settings.write(JSON.stringify(record));
+  } else {
+    settings.write(`${level.padEnd(5)} [${tag}] ${text}`);
+  }
+}
@@ -0,0 +1,115 @@
+// ---------------------------------------------------------------------
+/**
+ * The network the memory transports of one process share: which transport listens on
+ * which address, and which deliveries are allowed. Tests cut links by setting `reachable`.
+ */
+class MemoryNetwork {
+  constructor() {
+    this.endpoints = new Map(); // "address:port" -> listening MemoryTransport
+    // Decides whether a packet from one address ({ address, port }) reaches another
+    this.reachable = (from, to) => true;
+  }
+
+  endpoint(address, port) {
+    return this.endpoints.get(`${address}:${Number(port)}`);
+  }
+}
+
+// ---------------------------------------------------------------------
+/**
+ * kadPTP between peers of the same process, without any socket: packets are handed to
+ * the receiving peer's handlers on the next turn of the event loop, and replies to the
+ * sender's. A packet to an address nobody listens on, or that the network does not let
+ * through, fails at once. See KADTransport for the interface shared by all transports.
+ */
+class MemoryTransport {
+  /**
+   * @param {MemoryNetwork} network - The network shared with the other peers.
+   */
+  constructor(network) {
+    this.network = network;
+    this.host = null;
+    this.port = null;
+    this.listening = false;
+    this.handlers = null;
+  }
+
+  /**
+   * Registers the transport on the network under an address.
+   *
+   * @param {string} host - The address to listen on.
+   * @param {number} port - The port to listen on.
+   * @param {Function} callback - Called with an error, or null once listening.
+   */
+  listen(host, port, callback) {
+    if (this.network.endpoint(host, port)) {
+      setImmediate(callback, new Error(`Address ${host}:${port} is already in use`));
+      return;
+    }
+    this.host = host;
+    this.port = Number(port);
+    this.listening = true;
+    this.network.endpoints.set(`${host}:${this.port}`, this);
+    setImmediate(callback, null);
+  }
+
+  /**
+   * Delivers a packet.
+   *
+   * @param {Object} peer - The peer information object of the peer to contact.
+   * @param {Buffer} packet - The kadPTP packet.
+   * @param {Object} options - Unused, every packet comes from the listening address.
+   * @param {Function} callback - Optional, called once with null when the packet is on its
+   *                              way, or with an error when it cannot be delivered.
+   */
+  send(peer, packet, options, callback) {
+    let from = { address: this.host, port: this.port };
+    let to = { address: peer.peerIP, port: Number(peer.peerPort) };
+    let delivered = this.deliver(from, to, packet);
+    if (callback) setImmediate(callback, delivered ? null : new Error(`Peer ${to.address}:${to.port} is unreachable`));
+  }
+
+  /**
+   * Leaves the network.
+   *
+   * @param {Function} callback - Optional, called once done.
+   */
+  close(callback) {
+    if (this.listening && this.network.endpoint(this.host, this.port) === this) {
+      this.network.endpoints.delete(`${this.host}:${this.port}`);
+    }
+    this.listening = false;
+    if (callback) setImmediate(callback);
+  }
+
+  // Hands a copy of the packet to the transport listening on `to` on the next turn of the
+  // event loop, its replies coming back to this one. Returns false if the packet cannot be
+  // delivered.
+  deliver(from, to, packet) {
+    let receiver = this.network.endpoint(to.address, to.port);
+    if (!receiver || !this.network.reachable(from, to)) return false;
+
+    let copy = Buffer.from(packet);
+    setImmediate(() => {
+      // The receiver may have left, or the link been cut, in the meantime
+      if (this.network.endpoint(to.address, to.port) !== receiver || !receiver.handlers) return;
+      if (!this.network.reachable(from, to)) return;
+      receiver.handlers.onPacket(copy, from, (answer) => receiver.deliverBack(to, from, answer, this));
+    });
+    return true;
+  }
+
+  // Hands a reply to the transport that sent the request, if it is still there
+  deliverBack(from, to, answer, requester) {
+    if (!this.network.reachable(from, to)) return;
+    let copy = Buffer.from(answer);
+    setImmediate(() => {
+      if (requester.handlers) requester.handlers.onPacket(copy, from, () => {});
+    });
+  }
+}
+
+module.exports = {
+  MemoryNetwork: MemoryNetwork,
+  MemoryTransport: MemoryTransport,
+};
@@ -0,0 +1,283 @@
+let http = require("http");
+
+// Default histogram buckets, in seconds: suits RPC round trips
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// ---------------------------------------------------------------------
+/**
+ * A metric: its name, help text, label names and one value per combination of label
+ * values. A collector, if given, runs before every export to bring the values up to date,
+ * e.g. for a gauge read off the routing table.
+ */
+class Metric {
+  constructor(type, name, help, labelNames = [], collect = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.values = new Map(); // Label values, as rendered -> value
+  }
+
+  /**
+   * Drops every value, e.g. before a collector sets them all again.
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  // The `{a="1",b="2"}` of a set of labels; every label name must be given
+  key(labels = {}) {
+    let names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || !this.labelNames.every(name => names.includes(name))) {
+      throw new Error(`Metric ${this.name} takes the labels ${this.labelNames.join(", ") || "none"}`);
+    }
+    if (names.length === 0) return "";
+    return "{" + this.labelNames.map(name => `${name}="${escapeLabel(labels[name])}"`).join(",") + "}";
+  }
+
+  lines() {
+    return Array.from(this.values, ([key, value]) => `${this.name}${key} ${formatNumber(value)}`);
+  }
+}
+
+/**
+ * A value that only goes up, e.g. the number of requests sent.
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("counter", name, help, labelNames, collect);
+    if (this.labelNames.length === 0) this.values.set("", 0);
+  }
+
+  /**
+   * @param {Object} labels - Optional label values.
+   * @param {number} amount - Optional, 1 by default; it may not be negative.
+   */
+  inc(labels, amount = 1) {
+    if (typeof labels === "number") [labels, amount] = [{}, labels];
+    if (amount < 0) throw new RangeError(`Counter ${this.name} cannot decrease`);
+    let key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+/**
+ * A value that goes up and down, e.g. the number of contacts in a bucket.
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("gauge", name, help, labelNames, collect);
+    if (this.labelNames.length === 0) this.values.set("", 0);
+  }
+
+  /**
+   * @param {Object} labels - Optional label values.
+   * @param {number} value - The value.
+   */
+  set(labels, value) {
+    if (typeof labels === "number") [labels, value] = [{}, labels];
+    this.values.set(this.key(labels), value);
+  }
+
+  /**
+   * @param {Object} labels - Optional label values.
+   * @param {number} amount - Optional, 1 by default; negative to decrease the gauge.
+   */
+  inc(labels, amount = 1) {
+    if (typeof labels === "number") [labels, amount] = [{}, labels];
+    let key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+/**
+ * The distribution of observed values, e.g. RPC latencies, as cumulative bucket counts,
+ * a sum and a count.
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Optional label values.
+   * @param {number} value - The observed value.
+   */
+  observe(labels, value) {
+    if (typeof labels === "number") [labels, value] = [{}, labels];
+    let key = this.key(labels);
+    let state = this.values.get(key);
+    if (!state) {
+      state = { labels: labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, state);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) state.counts[i]++;
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  lines() {
+    let lines = [];
+    this.values.forEach((state) => {
+      let labelsWith = (extra) => {
+        let pairs = this.labelNames.map(name => `${name}="${escapeLabel(state.labels[name])}"`).concat(extra || []);
+        return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+      };
+      this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${labelsWith(`le="${formatNumber(bound)}"`)} ${state.counts[i]}`));
+      lines.push(`${this.name}_bucket${labelsWith('le="+Inf"')} ${state.count}`);
+      lines.push(`${this.name}_sum${labelsWith()} ${formatNumber(state.sum)}`);
+      lines.push(`${this.name}_count${labelsWith()} ${state.count}`);
+    });
+    return lines;
+  }
+}
+
+// ---------------------------------------------------------------------
+/**
+ * A set of metrics, exported together in the Prometheus text format. Registering a
+ * metric under a name already taken returns the existing one, so the modules sharing a
+ * registry can each declare what they use.
+ *
+ *   const registry = new Registry();
+ *   const sent = registry.counter("kad_rpc_requests_total", "Requests sent", ["type"]);
+ *   sent.inc({ type: "PING" });
+ *   registry.render(); // "# HELP kad_rpc_requests_total Requests sent\n# TYPE ..."
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map(); // Name -> metric, in registration order
+  }
+
+  /**
+   * @param {string} name - The metric name, e.g. "kad_rpc_timeouts_total".
+   * @param {string} help - What it counts.
+   * @param {Array} labelNames - Optional label names.
+   * @param {Function} collect - Optional, called with the metric before every export.
+   * @returns {Counter} The counter.
+   */
+  counter(name, help, labelNames, collect) {
+    return this.register(name, () => new Counter(name, help, labelNames, collect));
+  }
+
+  /**
+   * @param {string} name - The metric name, e.g. "kad_bucket_contacts".
+   * @param {string} help - What it measures.
+   * @param {Array} labelNames - Optional label names.
+   * @param {Function} collect - Optional, called with the metric before every export.
+   * @returns {Gauge} The gauge.
+   */
+  gauge(name, help, labelNames, collect) {
+    return this.register(name, () => new Gauge(name, help, labelNames, collect));
+  }
+
+  /**
+   * @param {string} name - The metric name, e.g. "kad_rpc_latency_seconds".
+   * @param {string} help - What it measures.
+   * @param {Array} labelNames - Optional label names.
+   * @param {Array} buckets - Optional upper bounds of the buckets.
+   * @returns {Histogram} The histogram.
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @param {string} name - A metric name.
+   * @returns {Metric|undefined} The metric registered under the name.
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Runs the collectors and renders every metric in the Prometheus text format.
+   *
+   * @returns {string} The exposition text.
+   */
+  render() {
+    let lines = [];
+    this.metrics.forEach(metric => {
+      if (metric.collect) metric.collect(metric);
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  register(name, create) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Invalid metric name ${name}`);
+    if (!this.metrics.has(name)) this.metrics.set(name, create());
+    return this.metrics.get(name);
+  }
+}
+
+// ---------------------------------------------------------------------
+/**
+ * Serves a registry to Prometheus: `GET /metrics`. It listens on loopback unless given
+ * another address, e.g. that of the interface a Prometheus server on another machine
+ * scrapes, or 0.0.0.0 for every interface. The metrics are read-only.
+ *
+ * @param {Registry} registry - The metrics to serve.
+ * @param {Object} options - Optional `host` (127.0.0.1 by default) and `port` (0, a free
+ *                           one, by default).
+ * @returns {Object} The exporter, with `start()`, resolving with the `{ host, port }` it
+ *                   listens on, and `stop()`.
+ */
+function createExporter(registry, options = {}) {
+  let host = options.host || "127.0.0.1";
+
+  let server = http.createServer((request, response) => {
+    let route = new URL(request.url, "http://localhost").pathname;
+    if (route !== "/metrics") {
+      response.writeHead(404, { "Content-Type": "text/plain" });
+      response.end(`No route ${route}, metrics are at /metrics\n`);
+    } else if (request.method !== "GET" && request.method !== "HEAD") {
+      response.writeHead(405, { "Content-Type": "text/plain", "Allow": "GET, HEAD" });
+      response.end(`Method ${request.method} not allowed\n`);
+    } else {
+      let text = registry.render();
+      response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+      response.end(request.method === "HEAD" ? undefined : text);
+    }
+  });
+
+  return {
+    start: () => new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(options.port || 0, host, () => {
+        server.removeListener("error", reject);
+        resolve({ host: host, port: server.address().port });
+      });
+    }),
+    stop: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    }),
+  };
+}
+
+// ---------------------------------------------------------------------
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+module.exports = {
+  Registry: Registry,
+  Counter: Counter,
+  Gauge: Gauge,
+  Histogram: Histogram,
+  createExporter: createExporter,
+  DEFAULT_BUCKETS: DEFAULT_BUCKETS,
+};
@@ -1,663 +1,1002 @@
-let netLib = require("net");
+let net = require("net");
 let ptpMessage = require("./KADPTP");
 let uniqueInstance = require("./Singleton");
+let RoutingTable = require("./KADRoutingTable");
+let transports = require("./KADTransport");
+let Rpc = require("./KADRpc");
+let logger = require("./KADLogger");
+let metrics = require("./KADMetrics");
+
+let PING_INTERVAL = 60000; // Milliseconds without hearing from a peer before the liveness sweep pings it
+let MAX_MISSED_PINGS = 3; // Consecutive unanswered pings before the liveness sweep evicts a peer
+let RPC_TIMEOUT = 1000; // Milliseconds to wait for a reply before sending a request again
+let RPC_RETRIES = 2; // Retries of an unanswered request before giving up on a peer
+let MAX_BUCKET_PER_IP = 2; // Contacts at the same IP address a bucket admits
+let MAX_BUCKET_PER_SUBNET = 3; // Contacts in the same /24 subnet a bucket admits
+let MAX_TABLE_PER_IP = 4; // Contacts at the same IP address the whole table admits
+let MAX_TABLE_PER_SUBNET = 10; // Contacts in the same subnet the whole table admits
+let LONG_LIVED_AGE = 60 * 60 * 1000; // Milliseconds in the table after which a peer survives twice as many missed pings
+let MAX_CONTACT_CHECKS = 32; // Second-hand contacts of a DHT being pinged at the same time before they are added
+let UNLIMITED_SUBNETS = ["127.0.0.0/8"]; // Addresses the admission limits do not apply to, "IP" or "IP/BITS"
+
+let bucketLog = logger.create("bucket"); // Peers entering and leaving the buckets
+let storeLog = logger.create("store");   // Key/value pairs stored, sent and looked up
+let nodeLog = logger.create("node");     // Joining the network and greeting peers
 
 // ---------------------------- Exports -----------------------------------------
 module.exports = {
   /**
-   * Handles the initial connection process when a new client joins the Kademlia network.
-   * This includes setting up the client's peer information and interactions 
-   * with the server's Distributed Hash Table (DHT).
+   * Starts receiving the messages of other peers on the DHT owner's address, through the 
+   * DHT's transport (`dht.transport`, TCP when there is none).
    *
-   * @param {net.Socket} connection - The socket representing the client's connection.
-   * @param {Object} dhtTable - The server's Kademlia DHT.
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {Function} callback - Called with an error, or null once listening.
    */
-  handleClientJoining: handleClientJoining, 
+  listen: listen,
 
   /**
-   * Manages ongoing communications and events for a connected client within the 
-   * Kademlia network. This might handle data exchange, peer discovery, and potentially 
-   * DHT updates triggered by client actions.
+   * Joins the network through one or more known peers: they are added to the DHT under 
+   * the ID their keys prove, then a self lookup fills the buckets and the peers found are 
+   * greeted with a 'hello' message. Any listening peer can serve as such a seed.
    *
-   * @param {net.Socket} socket - The socket representing the client's connection.
-   * @param {string} name - The name or identifier of the client.
-   * @param {Object} dht - The Kademlia DHT.
+   * @param {Object} dht - The local peer's Kademlia DHT, already listening.
+   * @param {Object|Array} seeds - The known peer, `peerIP` and `peerPort`, or an array of them.
+   * @param {Function} callback - Called with the contacts found by the self lookup.
    */
-  handleCommunications: handleCommunications 
-};
+  bootstrap: bootstrap,
 
-// ---------------------------------------------------------------------
-function handleClientJoining(connection, dhtTable) {  // Entry point for new client joining
   /**
-   * Initiates the process of integrating a newly connected client into the Kademlia network.
-   *  Delegates the handling of the connection and DHT interactions to the 
-   * `processServerPeerConnection` function.
-   * 
-   * @param {net.Socket} connection - The socket representing the client's connection.
-   * @param {Object} dhtTable - The server's Kademlia Distributed Hash Table.
+   * Stores a key/value pair in the DHT. The key is hashed into the peer ID space, this peer 
+   * keeps the original and the pair is sent to the K peers closest to it by XOR distance.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {string} key - The key to store the value under.
+   * @param {string} value - The value to store.
+   * @param {Function} callback - Optional, called with the peers the pair was sent to.
    */
-  processServerPeerConnection(connection, dhtTable);
-}
+  storeValue: storeValue,
 
-// ---------------------------------------------------------------------
-
-function handleCommunications(socket, name, dht) {  // Once the client is connected and integrated into the network
   /**
-   * Manages ongoing communications for a connected Kademlia client. 
-   * involves handling network events (data received, connection closed, etc.) and 
-   * facilitating interactions with the Kademlia network. It delegates these tasks 
-   * to the `handleClientNetworkEvents` function.
+   * Looks up the value stored under a key, first in the local store and then with an 
+   * iterative lookup towards the peers closest to the key.
    *
-   * @param {net.Socket} socket -  The socket representing the client's connection.
-   * @param {string} name -  The name or identifier of the client.
-   * @param {Object} dht -  The Kademlia Distributed Hash Table (likely the server's).
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {string} key - The key to look up.
+   * @param {Function} callback - Called with the value, or null if no peer holds it.
    */
-  handleClientNetworkEvents(socket, name, dht);
-}
+  findValue: findValue,
 
-// ---------------------------------------------------------------------
-
-function processServerPeerConnection(connection, dhtTable) { 
   /**
-   * Handles the process of establishing and managing a connection with another Kademlia peer 
-   * on the server side. includes generating a peer ID, parsing messages, and 
-   * modifying the server's (DHT).
+   * Runs an iterative Kademlia FIND_NODE lookup: the ALPHA closest known peers are queried 
+   * in parallel, the contacts they return are merged, and the lookup ends once the K 
+   * closest contacts have all replied. Every peer that replies is added to the DHT.
    *
-   * @param {net.Socket} connection - The socket representing the connection to the peer.
-   * @param {Object} dhtTable - The server's Kademlia Distributed Hash Table.
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {string} targetID - The hex ID to look for.
+   * @param {Function} callback - Called with the closest contacts that replied, closest first.
    */
+  findNode: findNode,
 
-  // --- Peer Information Generation ---
-  function createJoiningPeer(connection) {
-    /**
-     * Creates a basic peer information object for a newly connecting peer. It extracts 
-     * the IP address and port from the connection and uses the `uniqueInstance` 
-     * module to calculate a unique `peerID`. 
-     *
-     * @param {net.Socket} connection - The socket representing the connection to the peer.
-     * @returns {Object} An object containing peerName, peerIP, peerPort, and peerID
-     */
-    const peerID = uniqueInstance.getPeerID(connection.remoteAddress, connection.remotePort);
-    return {
-      peerName: "", 
-      peerIP: connection.remoteAddress,
-      peerPort: connection.remotePort,
-      peerID: peerID
-    };
-  }
-
-  // --- Internal State ---
-  let packet = null; // Stores the parsed message from the peer
-  let joiningPeer = createJoiningPeer(connection); // Creates initial peer information
-
-  // --- Event Handlers ---
-  connection.on('data', handleData); // Data event handler for incoming messages 
-  connection.on('end', handleEnd); // End event handler for connection closure
-
-  function handleData(data) {
-    /**
-     * Event handler for the 'data' event. Parses the incoming message data 
-     * 
-     *
-     * @param {Buffer} data -  The raw data received from the peer.
-     */
-    packet = parseMessage(data);
-  }
-
-  function handleEnd() {
-    /**
-     * Event handler for the 'end' event (connection closed). Performs actions based on 
-     * whether a message has been received from the peer:
-     *   * If a 'hello' message (msgType == 2) was received, processes it with `handleHelloMessage`.
-     *   * Otherwise, logs the connection and adds the new peer to the DHT.
-     */
-    if (packet) {
-      if (packet.msgType == 2) {
-        handleHelloMessage(packet, dhtTable, joiningPeer); 
-      }
-    } else { 
-      console.log(" "); // Formatting
-      console.log("Connected from peer " + joiningPeer.peerIP + ":" + joiningPeer.peerPort + "\n");
-      pushBucket(dhtTable, joiningPeer); 
-    }
-  }
-
-  // --- Initial Hello Message ---
-  if (packet == null) {
-    /**
-     * If no message has been received initially, the server sends a 'hello' message to 
-     * the peer, likely to initiate discovery and exchange DHT information.
-     */
-    sendHelloMessage(connection, dhtTable);
-  }
-}
-// ---------------------------------------------------------------------
-
-function handleHelloMessage(packet, dhtTable, joiningPeer) {
   /**
-   * Processes an incoming 'hello' message from a peer. This includes updating the peer's name, 
-   * logging the message, and potentially integrating the peer and its shared DHT information
-   * into the server's Kademlia Distributed Hash Table.
-   * 
-   * @param {Object} packet - The parsed 'hello' message.
-   * @param {Object} dhtTable - The server's Kademlia Distributed Hash Table (DHT).
-   * @param {Object} joiningPeer - The peer information object for the peer that sent the message.
+   * Liveness sweep of a DHT, driven by the scheduler. Peers not heard from within the ping 
+   * interval are pinged, and a peer that misses too many pings in a row is evicted.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
    */
+  sweepLiveness: sweepLiveness,
 
-  // Display the current state of the Server's DHT
-  displayServerDHT(dhtTable); 
-
-  // Update the peer's name based on the 'hello' message 
-  joiningPeer.peerName = packet.senderName;
-
-  // Build a detailed log message
-  let message = "Received Hello Message from " + joiningPeer.peerName + " [" + joiningPeer.peerID + "] ";
-
-  // Include details about any shared DHT information
-  if (packet.peersList.length > 0) {
-    let details = "along with DHT ";
-    for (var i = 0; i < packet.peersList.length; i++) {
-      details += "[" + packet.peersList[i].peerIP + ":" +
-                 packet.peersList[i].peerPort + ", " +
-                 packet.peersList[i].peerID +
-                 "] \n";
-    }
-    message += details;
-  }
-  console.log(message); 
+  /**
+   * Republishes a key/value pair this peer published, to the K peers currently closest 
+   * to the key. Driven by the scheduler.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {string} keyID - The hashed key of the pair, as found in the local store.
+   */
+  republishValue: republishValue,
 
-  // Check if the peer already exists in the DHT
-  let exists = dhtTable.table.find(e => e.node.peerPort == joiningPeer.peerPort); 
-  if (exists) {
-    // Update the existing peer's name
-    exists.node.peerName = joiningPeer.peerName; 
-  } else {
-    // Add the new peer to the DHT
-    pushBucket(dhtTable, joiningPeer); 
-  }
+  /**
+   * Adds a peer that was just seen to its k-bucket, following the Kademlia rules: known 
+   * peers move to the tail, new peers are appended while there is room, and a full bucket 
+   * pings its least recently seen peer, which is replaced only if it does not answer. A new 
+   * peer is refused when its bucket, or the whole table, already holds as many contacts at 
+   * its IP address or in its subnet as the admission limits allow.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {Object} peerInfo - The peer information object of the peer seen.
+   */
+  pushBucket: pushBucket,
 
-  // Determine the appropriate K-bucket prefix 
-  let bucketPrefix = exists ? exists.prefix : uniqueInstance.getBucketPrefix(dhtTable.owner.peerID, joiningPeer.peerID);
+  /**
+   * The metrics of a DHT's peer, created the first time they are needed: the contacts per 
+   * bucket, the peers added, replaced and evicted, the values stored, the lookups run and, 
+   * through the RPC layer, requests, timeouts, latencies and traffic by message type.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @returns {Registry} The KADMetrics registry, to export with `render()`.
+   */
+  metricsFor: metricsFor,
 
-  // Placeholder for bucket overflow logic (assuming `isBucketFull` is a separate function)
-  if (isBucketFull) { 
-    console.log(`Bucket P${bucketPrefix} is full, checking if we need to change the stored value`);
-    console.log("Current value is closest, no update needed \n");
-  } else {
-    console.log(`Bucket P${bucketPrefix} is not full, adding ${joiningPeer.peerID}`);
-    console.log(" "); // Formatting
-  }
+  /**
+   * Overrides the Kademlia parameters used by this module.
+   *
+   * The bucket size, replication factor and lookup parallelism are not among them: they are 
+   * the `k` and `alpha` of each DHT, so that the DHTs of a process do not share them.
+   *
+   * @param {Object} options - Any of `pingInterval` (milliseconds), `maxMissedPings`, 
+   *                           `longLivedAge` (milliseconds), the admission limits 
+   *                           `maxBucketPerIP`, `maxBucketPerSubnet`, `maxTablePerIP` and 
+   *                           `maxTablePerSubnet`, `unlimitedSubnets`, the addresses they 
+   *                           do not apply to ("IP" or "IP/BITS"; a DHT's 
+   *                           `limits.unlimitedSubnets` take precedence), and `timeout` 
+   *                           (milliseconds) and `retries` for the requests of the DHTs 
+   *                           created afterwards.
+   */
+  configure: configure
+};
 
-  // Update the server's DHT with any shared peer information
-  updateDHTtable(dhtTable, packet.peersList); 
-}
 // ---------------------------------------------------------------------
+function configure(options) {
+  if (options.pingInterval) PING_INTERVAL = options.pingInterval;
+  if (options.maxMissedPings) MAX_MISSED_PINGS = options.maxMissedPings;
+  if (options.longLivedAge) LONG_LIVED_AGE = options.longLivedAge;
+  if (options.maxBucketPerIP) MAX_BUCKET_PER_IP = options.maxBucketPerIP;
+  if (options.maxBucketPerSubnet) MAX_BUCKET_PER_SUBNET = options.maxBucketPerSubnet;
+  if (options.maxTablePerIP) MAX_TABLE_PER_IP = options.maxTablePerIP;
+  if (options.maxTablePerSubnet) MAX_TABLE_PER_SUBNET = options.maxTablePerSubnet;
+  if (options.unlimitedSubnets) UNLIMITED_SUBNETS = options.unlimitedSubnets;
+  if (options.timeout) RPC_TIMEOUT = options.timeout;
+  if (options.retries !== undefined) RPC_RETRIES = options.retries;
+}
 
-function isBucketFull(DHTtable, prefix) { 
+// ---------------------------------------------------------------------
+function peerHandlers(dhtTable) {
   /**
-   * Checks if a specific K-bucket in the server's DHT is full.
+   * The handlers the RPC layer calls for what a peer receives. Stream transports welcome 
+   * every connection with the DHT.
    *
-   * @param {Object} DHTtable - The server's Kademlia Distributed Hash Table.
-   * @param {number} prefix - The numeric prefix identifying the K-bucket. 
-   * @returns {boolean} True if the bucket is full, otherwise false. 
+   * @param {Object} dhtTable - The local peer's Kademlia Distributed Hash Table.
+   * @returns {Object} The `greeting` and `onRequest` handlers.
    */
-
-  let bucketSize = 31; // Maximum number of entries allowed in a bucket 
-  let bucketCount = DHTtable.table.filter(e => e.prefix === prefix).length; 
-  // Counts the entries in the DHT with the specified prefix 
-   
-  return bucketCount >= bucketSize; // Returns true if the count reaches the size limit
+  return {
+    greeting: () => welcomeMessage(dhtTable),
+    onRequest: (packet, from, reply) => handleRequest(dhtTable, packet, from, reply)
+  };
 }
 // ---------------------------------------------------------------------
 
-function sendHelloMessage(connection, dhtTable) {
+function handleRequest(dhtTable, packet, from, reply) {
   /**
-   * Constructs and sends a 'hello' message to a connected peer. Which uses the `ptpMessage` 
-   * module to format the message and sends it over the connection.
-   * 
-   * @param {net.Socket} connection - The socket connection to the peer.
-   * @param {Object} dhtTable - The server's Kademlia Distributed Hash Table.
+   * Handles one kadPTP request from a peer, whatever the transport, once the RPC layer 
+   * has decoded it and checked its signature. Requests are answered through `reply`.
+   *
+   * @param {Object} dhtTable - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object} packet - The parsed message received from the peer.
+   * @param {Object} from - The sender's address and port.
+   * @param {Function} reply - Sends a reply packet back to the sender.
    */
-
-  ptpMessage.init(9, 1, dhtTable); // Initializes the PTP message (type 9, msg type (1), and includes DHT information)
-  connection.write(ptpMessage.getPacket()); // Sends the formatted message 
-  connection.end(); // Closes the connection
+  let senderPeer = peerFrom(from, packet);
+
+  if (packet.msgType == ptpMessage.messageTypes.HELLO) {
+    handleHelloMessage(packet, dhtTable, from);
+  } else if (packet.msgType == ptpMessage.messageTypes.STORE) {
+    handleStoreMessage(packet, dhtTable, senderPeer);
+  } else if (packet.msgType == ptpMessage.messageTypes.FIND_VALUE) {
+    handleFindValueMessage(reply, packet, dhtTable, senderPeer);
+  } else if (packet.msgType == ptpMessage.messageTypes.FIND_NODE) {
+    handleFindNodeMessage(reply, packet, dhtTable, from);
+  } else if (packet.msgType == ptpMessage.messageTypes.PING) {
+    handlePingMessage(reply, dhtTable);
+  }
 }
 // ---------------------------------------------------------------------
 
-function handleClientNetworkEvents(socket, name, dht) {
+function peerFrom(from, packet) {
   /**
-   * Manages network events for a client connection. Sets up handlers for the 'data' 
-   * (message received) and 'end' (connection closed) events.
+   * Creates a peer information object for the sender of a message, from its address. The 
+   * `peerID` is the one the message's signature proves, not one the sender could claim.
    *
-   * @param {net.Socket} socket -  The socket connection to the client.
-   * @param {string} name - The name or identifier of the client.
-   * @param {Object} dht - The Kademlia Distributed Hash Table (likely the server's).
+   * @param {Object} from - The sender's address and port.
+   * @param {Object} packet - The signed message received from the sender.
+   * @returns {Object} An object containing peerName, peerIP, peerPort, and peerID
    */
-
-  socket.on('data', (data) => handleDataReceived(socket, data, name, dht));
-  socket.on('end', () => handleConnectionEnd(dht)); 
+  return {
+    peerName: packet.senderName,
+    peerIP: from.address,
+    peerPort: from.port,
+    peerID: packet.senderID
+  };
 }
 // ---------------------------------------------------------------------
 
-
-function handleDataReceived(socket, data, name, dht) {
+function handleHelloMessage(packet, dhtTable, from) {
   /**
-   * Handles incoming data from a client. Parses the message, identifies the sender,
-   * and processes the message based on its type.
-   *
-   * @param {net.Socket} socket -  The socket connection of the client.
-   * @param {Buffer} data - The raw message data.
-   * @param {string} name - The name or identifier of the client.
-   * @param {Object} dht - The Kademlia Distributed Hash Table (likely the server's).
+   * Processes an incoming 'hello' message from a peer. The peer's own contact comes first 
+   * and is learned like a lookup requester's (see `learnRequester`), updating its name if 
+   * it is already known; the peers it shares after it are integrated into the local peer's 
+   * Kademlia Distributed Hash Table like any contacts learned second-hand.
+   * 
+   * @param {Object} packet - The parsed 'hello' message.
+   * @param {Object} dhtTable - The local peer's Kademlia Distributed Hash Table (DHT).
+   * @param {Object} from - The sender's address and port.
    */
 
-  const packet = parseMessage(data); 
-  const sender = createSenderPeer(socket, packet); 
+  // Display the current state of the DHT
+  displayDHT(dhtTable); 
 
-  if (packet.msgType == 1) { 
-    // Assuming message type 1 is a connection initiation
-    logConnectionDetails(socket, sender, name);
-    initializeServerPeer(socket, name, dht); 
-    processWelcomeMessage(sender, packet, dht); 
-  } else {
-    console.log("The message type " + packet.msgType + " is not supported");
-  }
+  nodeLog.info("hello-received", "Received hello from {name} [{peer}] along with {shared} peers", {
+    name: packet.senderName,
+    peer: packet.senderID,
+    shared: Math.max(packet.peersList.length - 1, 0),
+  });
+
+  // Update the name of a peer already known, then learn its contact
+  let exists = dhtTable.find(packet.senderID); 
+  if (exists) exists.node.peerName = packet.senderName; 
+  learnRequester(packet, from, dhtTable);
+
+  // Update the DHT with any shared peer information
+  updateDHTtable(dhtTable, packet.peersList.slice(1)); 
 }
 // ---------------------------------------------------------------------
 
-function createSenderPeer(socket, packet) {
+function welcomeMessage(dhtTable) {
   /**
-   * Creates a peer information object representing the sender of a message.  It extracts
-   * the IP address, port, and sender name (from the packet) and uses the `uniqueInstance` 
-   * module to calculate a unique peer ID.
+   * Constructs the 'welcome' message a connected peer is greeted with, which uses the 
+   * `ptpMessage` module to format the message and carries the DHT.
    * 
-   * @param {net.Socket} socket - The socket connection of the sender.
-   * @param {Object} packet - The parsed message received from the sender.
-   * @returns {Object} An object containing peerName, peerIP, peerPort, and peerID.
+   * @param {Object} dhtTable - The local peer's Kademlia Distributed Hash Table.
+   * @returns {Buffer} The 'welcome' message.
    */
 
-  const senderID = uniqueInstance.getPeerID(socket.remoteAddress, socket.remotePort);
-  return {
-    peerName: packet.senderName, 
-    peerIP: socket.remoteAddress,
-    peerPort: socket.remotePort,
-    peerID: senderID
-  };
+  ptpMessage.init(9, 1, dhtTable); // Initializes the PTP message (type 9, msg type (1), and includes DHT information)
+  return ptpMessage.getPacket();
 }
 // ---------------------------------------------------------------------
 
-function logConnectionDetails(socket, sender, name) { 
-  /** 
-   * Logs connection details to the console. Includes information about the connected peer, 
-   * the local peer (server endpoint), timestamp, and their unique peer IDs.
+function listen(dht, callback) {
+  /**
+   * Starts receiving on the DHT owner's address through the DHT's transport.
    *
-   * @param {net.Socket} socket -  The socket connection of the client.
-   * @param {Object} sender - The sender peer information object.
-   * @param {string} name - The name or identifier of the local peer (likely the server).
+   * @param {Object} dht - The local peer's Kademlia Distributed Hash Table.
+   * @param {Function} callback - Called with an error, or null once listening.
    */
-
-  console.log(`Connected to ${sender.peerName}:${socket.remotePort} at timestamp: ${uniqueInstance.getTimestamp()}\n`);
-  const localPeerID = uniqueInstance.getPeerID(socket.localAddress, socket.localPort);
-  console.log(`This peer address is ${socket.localAddress}:${socket.localPort} located at ${name} [${localPeerID}]\n`); 
+  rpcFor(dht).transport.listen(dht.owner.peerIP, dht.owner.peerPort, callback);
 }
 // ---------------------------------------------------------------------
 
-function initializeServerPeer(socket, name, dht) {
+function bootstrap(dht, seeds, callback) {
   /**
-   * The initializeServerPeer function transforms the local node into a server in a Kademlia-based network, allowing it to handle incoming peer connections.
+   * Joins the network through known peers, known by their addresses only. The seeds are 
+   * pinged first and those that answer are added to the DHT, under the ID the signature of 
+   * their 'pong' proves; then the self lookup of `joinNetwork` finds the neighbours.
    *
-   * @param {net.Socket} socket - The socket connection of the client.
-   * @param {string} name - The name or identifier of the local peer
-   * @param {Object} dht -  The Kademlia Distributed Hash Table
+   * @param {Object} dht - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object|Array} seeds - The known peer, `peerIP` and `peerPort`, or an array of them.
+   * @param {Function} callback - Called with the contacts found by the self lookup.
    */
+  let seedPeers = [].concat(seeds).map(seed => ({ peerName: seed.peerName || "", peerIP: seed.peerIP, peerPort: Number(seed.peerPort) }));
 
-  const server = netLib.createServer(); 
-  server.listen(socket.localPort, socket.localAddress); 
-  server.on("connection", (sock) => processServerPeerConnection(sock, dht)); 
+  Promise.all(seedPeers.map(seedPeer => rpcFor(dht).identify(seedPeer))).then(identified => {
+    seedPeers.forEach((seedPeer, i) => {
+      if (identified[i]) {
+        nodeLog.info("seed-joined", "Joining the network through peer {address} [{peer}]", { address: `${seedPeer.peerIP}:${seedPeer.peerPort}`, peer: identified[i].peerID });
+        pushBucket(dht, identified[i]);
+      } else {
+        nodeLog.warn("seed-unreachable", "Seed peer {address} did not answer, skipping it", { address: `${seedPeer.peerIP}:${seedPeer.peerPort}` });
+      }
+    });
+    joinNetwork(dht, callback);
+  });
 }
 // ---------------------------------------------------------------------
 
-function processWelcomeMessage(sender, packet, dht) { 
+function transportFor(dht) {
   /**
-   * Processes a 'welcome' message received from a server peer. This includes logging the 
-   * message, updating the local DHT with the sender's information, and potentially 
-   * incorporating any shared DHT information from the message.
+   * The transport a DHT's peer talks through. A DHT created without one gets a TCP 
+   * transport whose connections leave from the owner's address.
    *
-   * @param {Object} sender - The sender peer information object.
-   * @param {Object} packet - The parsed 'welcome' message.
    * @param {Object} dht - The local peer's Kademlia Distributed Hash Table.
+   * @returns {Object} The transport.
    */
-
-  console.log(`Received Welcome message from server [${sender.peerID}]` + 
-    (packet.peersList.length > 0 ? ` along with DHT: ${packet.peersList.map(peer => `[${peer.peerIP}:${peer.peerPort}, ${peer.peerID}]`).join(", ")}` : " along with DHT: []"));
-  updateOrAddPeerToDHT(sender, dht);
-  updateDHTtable(dht, packet.peersList);
+  if (!dht.transport) dht.transport = transports.create("tcp", { host: dht.owner.peerIP });
+  return dht.transport;
 }
 // ---------------------------------------------------------------------
 
-function updateOrAddPeerToDHT(sender, dht) {  // Update or add a peer to the DHT
+function rpcFor(dht) {
   /**
-   * Attempts to add a peer to the Distributed Hash Table (DHT), or updates the peer's
-   * information in the DHT if it already exists. 
+   * The RPC layer a DHT's peer sends its requests through and receives with, created on 
+   * the DHT's transport the first time it is needed.
    *
-   * @param {Object} sender - The peer information object to add or update.
-   * @param {Object} dht - The Kademlia Distributed Hash Table. 
+   * @param {Object} dht - The local peer's Kademlia Distributed Hash Table.
+   * @returns {Rpc} The DHT's RPC layer.
    */
-
-  // Check if the peer exists based on its port number
-  let exists = dht.table.find(e => e.node.peerPort == sender.peerPort); 
-
-  if (!exists) {
-    /** 
-     * If the peer doesn't exist:
-     *    - Calls the `pushBucket` function to add the peer to the appropriate K-bucket 
-     *      in the DHT. 
-     */
-    pushBucket(dht, sender);
-  } else {
-    /**
-     * If the peer already exists:
-     *    - Logs a message indicating the peer's presence. 
-     *    - Note: You might want to add logic here to update the peer's information
-     *      (e.g., last seen timestamp) if necessary.
-     */
-    console.log(`${sender.peerPort} already exists in the DHT.`);
+  if (!dht.rpc) {
+    dht.rpc = new Rpc(dht.owner, transportFor(dht), peerHandlers(dht), {
+      identity: dht.identity,
+      encrypt: dht.encrypt,
+      timeout: RPC_TIMEOUT,
+      retries: RPC_RETRIES,
+      rateLimit: dht.limits.rateLimit,
+      maxMessageSize: dht.limits.maxMessageSize,
+      metrics: metricsFor(dht),
+    });
   }
+  return dht.rpc;
 }
 // ---------------------------------------------------------------------
 
-function handleConnectionEnd(dht) { 
+function metricsFor(dht) {
   /**
-   * Event handler for the 'end' event (connection closed). This function logs 
-   * the disconnection and triggers any necessary actions based on the connection closure.
+   * The metrics registry of a DHT's peer, created with the routing table and store metrics 
+   * the first time it is needed. The gauges are read off the DHT when the registry is exported.
    *
-   * @param {Object} dht - The Kademlia Distributed Hash Table.
+   * @param {Object} dht - The local peer's Kademlia Distributed Hash Table.
+   * @returns {Registry} The DHT's metrics registry.
    */
-  sendHello(dht);
+  if (dht.metrics) return dht.metrics;
+  let registry = new metrics.Registry();
+
+  registry.gauge("kad_bucket_contacts", "Contacts in each non-empty bucket", ["bucket"], (gauge) => {
+    gauge.reset();
+    dht.prefixes().forEach(prefix => gauge.set({ bucket: prefix }, dht.bucket(prefix).length));
+  });
+  registry.gauge("kad_routing_table_contacts", "Contacts in the routing table", [], (gauge) => gauge.set(dht.size));
+  registry.gauge("kad_replacement_cache_contacts", "Spare contacts kept for full buckets", [], (gauge) => {
+    gauge.set(Object.values(dht.replacements).reduce((count, cache) => count + cache.length, 0));
+  });
+  registry.counter("kad_bucket_insertions_total", "Peers added to a bucket");
+  registry.counter("kad_bucket_spares_total", "Peers kept as spares because their bucket was full");
+  registry.counter("kad_bucket_evictions_total", "Dead peers evicted from a bucket");
+  registry.counter("kad_bucket_replacements_total", "Evicted peers replaced by a spare");
+  registry.counter("kad_bucket_refusals_total", "New peers refused by an admission limit", ["limit"]);
+  registry.counter("kad_contact_checks_total", "Second-hand contacts pinged before being added, by outcome", ["result"]);
+  registry.gauge("kad_store_values", "Key/value pairs in the local store", ["origin"], (gauge) => {
+    let stored = Object.values(dht.store);
+    gauge.set({ origin: "published" }, stored.filter(entry => entry.original).length);
+    gauge.set({ origin: "replica" }, stored.filter(entry => !entry.original).length);
+  });
+  registry.counter("kad_lookups_total", "Iterative lookups run", ["type"]);
+
+  dht.metrics = registry;
+  return registry;
 }
-// ----------------------------Bucket Functions--------------------------------------
+// ---------------------------------------------------------------------
 
-function refreshBucket(DHTtable, peersList) {
+function joinNetwork(dht, callback) { 
   /**
-   * Updates a K-bucket or potentially multiple buckets within the DHT, as part 
-   * of a refresh operation to ensure the DHT contains up-to-date peer information.
+   * The peer looks up its own ID to discover its neighbours before saying hello to them.
    *
-   * @param {Object} DHTtable - The Kademlia Distributed Hash Table. 
-   * @param {Array} peersList - An array of peer objects containing peer information.
-   */
- 
-  peersList.forEach(peer => {
-    /**
-     * Iterates through each peer in the `peersList` and uses the `pushBucket` function
-     * to either:
-     *   1. Add the peer to the appropriate K-bucket in the DHT if it's a new peer.
-     *   2. Update the peer's information or position in the DHT if it already exists.
-     */
-    pushBucket(DHTtable, peer);
-
+   * @param {Object} dht - The Kademlia Distributed Hash Table.
+   * @param {Function} callback - Called with the contacts found once the self lookup is done.
+   */
+  findNode(dht, dht.owner.peerID, (contacts) => {
+    nodeLog.info("self-lookup", "Self lookup reached {peers} peers", { peers: contacts.length });
+    sendHello(dht);
+    if (callback) callback(contacts);
   });
 }
-// ---------------------------------------------------------------------
+// ----------------------------Bucket Functions--------------------------------------
 
 function updateDHTtable(DHTtable, list) { 
   /**
-   * Updates the Kademlia Distributed Hash Table (DHT),by incorporating a list 
-   * of new or updated peers. This also includes displaying the updated DHT to the console.
+   * Takes in the peers another peer shared. They are contacts learned second-hand, so 
+   * each new one is checked before it is added (see `checkContact`); the peers already 
+   * known are left as they are, since another peer listing them says nothing of whether 
+   * they are still alive. This also includes logging the DHT.
    *
    * @param {Object} DHTtable - The Kademlia Distributed Hash Table. 
    * @param {Array} list -  A list of peer information objects.
    */
 
-  refreshBucket(DHTtable, list); // Updates DHT buckets with the provided peer list
-  displayDHT(DHTtable); // Displays the updated DHT in the console
+  list.forEach(peer => checkContact(DHTtable, peer));
+  displayDHT(DHTtable); // Logs the DHT
 }
 // ---------------------------------------------------------------------
 
-function displayDHT(DHTtable) {
+function checkContact(DHT, peer) {
   /**
-   * Displays the current state of the Kademlia Distributed Hash Table (DHT) in the console.
+   * Adds a contact learned second-hand only once it proved to be reachable: it is pinged, 
+   * and added if the 'pong' comes from its address and is signed by the ID it was listed 
+   * under. Anyone can list made-up addresses and IDs, so nothing is added on their word. 
+   * Contacts the admission limits would refuse anyway are not pinged, and at most 
+   * MAX_CONTACT_CHECKS checks of a DHT run at the same time; the others are dropped.
    *
-   * @param {Object} DHTtable - The Kademlia Distributed Hash Table to display.
+   * @param {Object} DHT - The Kademlia Distributed Hash Table.
+   * @param {Object} peer - The peer information object of the contact.
    */
-  console.log("Refresh k-Bucket operation is performed.\n");
-
-  if (DHTtable.table.length > 0) {
-    let output = "My DHT: ";
-    for (var j = 0; j < DHTtable.table.length; j++) {
-      output +=
-        "[P" +
-        DHTtable.table[j].prefix + ", " +
-        DHTtable.table[j].node.peerIP + ":" +
-        DHTtable.table[j].node.peerPort + ", " +
-        DHTtable.table[j].node.peerID +
-        "]\n        ";
-    }
-    console.log(output);
+  if (!peer.peerID || peer.peerID === DHT.owner.peerID || DHT.find(peer.peerID)) return;
+  if (!DHT.contactChecks) DHT.contactChecks = new Set(); // IDs of the contacts being checked
+  if (DHT.contactChecks.has(peer.peerID) || admissionRefusal(DHT, peer)) return;
+
+  if (DHT.contactChecks.size >= MAX_CONTACT_CHECKS) {
+    metricsFor(DHT).get("kad_contact_checks_total").inc({ result: "skipped" });
+    bucketLog.debug("contact-skipped", "Not checking contact {peer} at {address}, {checks} checks are running", { peer: peer.peerID, address: `${peer.peerIP}:${peer.peerPort}`, checks: DHT.contactChecks.size });
+    return;
   }
-}
+  DHT.contactChecks.add(peer.peerID);
 
+  pingPeer(DHT, peer, (alive) => {
+    DHT.contactChecks.delete(peer.peerID);
+    metricsFor(DHT).get("kad_contact_checks_total").inc({ result: alive ? "reachable" : "unreachable" });
+    if (alive) {
+      pushBucket(DHT, peer);
+    } else {
+      bucketLog.debug("contact-unreachable", "Contact {peer} at {address} did not answer as itself, it is not added", { peer: peer.peerID, address: `${peer.peerIP}:${peer.peerPort}` });
+    }
+  });
+}
 // ---------------------------------------------------------------------
-function displayServerDHT(serverDHTtable) {
+
+function displayDHT(DHTtable) {
   /**
-   * Displays the current state of the server's Kademlia Distributed Hash Table (DHT) in the console.
+   * Logs the current state of the Kademlia Distributed Hash Table (DHT), at the debug level.
    *
-   * @param {Object} serverDHTtable - The server's Kademlia Distributed Hash Table to display.
+   * @param {Object} DHTtable - The Kademlia Distributed Hash Table to display.
    */
-  if (serverDHTtable.table.length > 0) {
-    let output = "My DHT: ";
-    for (var j = 0; j < serverDHTtable.table.length; j++) {
-      output +=
-        "[P" +
-        serverDHTtable.table[j].prefix + ", " +
-        serverDHTtable.table[j].node.peerIP + ":" +
-        serverDHTtable.table[j].node.peerPort + ", " +
-        serverDHTtable.table[j].node.peerID +
-        "] ";
-    }
-    console.log(output);
-  }
+  let peers = Array.from(DHTtable).map(entry => ({
+    bucket: entry.prefix,
+    address: `${entry.node.peerIP}:${entry.node.peerPort}`,
+    id: entry.node.peerID,
+  }));
+  let summary = peers.map(peer => `[P${peer.bucket}, ${peer.address}, ${peer.id}]`).join(" ");
+  bucketLog.debug("table", `My DHT: ${summary || "empty"}`, { peers: peers });
 }
 // ---------------------------------------------------------------------
 
 function sendHello(DHTtable) {
-  let i = 0;  // Initialize a counter to iterate through the DHT entries
-
-  // Define a function to send a hello message to a single peer
-  function sendHelloToPeer() {
-    // Delay the execution to avoid flooding the network or overwhelming the node
-    setTimeout(() => {
-      // Check if there are more peers in the DHT to process
-      if (i < DHTtable.table.length) {
-        // Create a new socket for the connection
-        let sock = new netLib.Socket();
-
-        // Establish a connection to the current peer in the DHT
-        sock.connect({
-          port: DHTtable.table[i].node.peerPort, // The peer's port
-          host: DHTtable.table[i].node.peerIP,   // The peer's IP address
-          localPort: DHTtable.owner.peerPort     // The local port from which to establish the connection
-        }, () => {
-          // Initialize and send a PTP (Peer-to-Peer) message once the connection is established
-          ptpMessage.init(9, 2, DHTtable);
-          sock.write(ptpMessage.getPacket());
-
-          // Close and destroy the socket shortly after sending the message
-          setTimeout(() => {
-            sock.end();
-            sock.destroy();
-          }, 200);
-        });
-
-        // Once the socket is closed, increment the counter and attempt to send the next hello message
-        sock.on('close', () => {
-          i++;
-          sendHelloToPeer();
-        });
-      }
-
-      // Log when the process has sent hello messages to all peers in the DHT
-      if (i === DHTtable.table.length - 1) {
-        console.log("Hello packet has been sent.\n");
-      }
-    }, 200); // Set a delay of 200 milliseconds before sending the next hello message
-  }
+  /**
+   * Greets every peer of the DHT with a 'hello' message carrying the peer's own contact 
+   * and the DHT, all at once.
+   *
+   * @param {Object} DHTtable - The Kademlia Distributed Hash Table.
+   */
+  let entries = Array.from(DHTtable); // The peers to greet, as the DHT stands now
+  if (entries.length == 0) return;
 
-  // Start sending hello messages, beginning with the first peer in the DHT
-  sendHelloToPeer();
+  entries.forEach(entry => rpcFor(DHTtable).hello(entry.node, DHTtable).catch(err => {
+    nodeLog.warn("hello-failed", "Could not send hello to peer {peer}: {error}", { peer: entry.node.peerID, error: err.message });
+  }));
+  nodeLog.info("hello-sent", "Sent hello to {peers} peers", { peers: entries.length });
 }
 
-
 // ---------------------------------------------------------------------
 
 function pushBucket(DHT, peerInfo) {
   /**
    * Attempts to add a peer to the appropriate K-bucket within a Kademlia Distributed Hash Table 
-   * (DHT). Maintains K-bucket logic, including bucket size limitations and peer replacement.
+   * (DHT). Each bucket holds up to K peers in least-recently-seen order: a known peer is moved 
+   * to the tail of its bucket, a new peer is appended while there is room, and when the bucket 
+   * is full its least recently seen peer is pinged and replaced only if it does not answer. 
+   * Peers that do not fit are kept in the bucket's replacement cache.
    * 
    * @param {Object} DHT - The Kademlia Distributed Hash Table.
    * @param {Object} peerInfo -  Information about the peer to potentially add. 
    */
   if (DHT.owner.peerID !== peerInfo.peerID) { // Prevents the node from adding itself to its own DHT
-    let localBinaryID = uniqueInstance.Hex2Bin(DHT.owner.peerID); // Convert the owner's peer ID to binary
-    let peerBinaryID = uniqueInstance.Hex2Bin(peerInfo.peerID); // Convert the peer's ID to binary
-    let bucketIndex = 0; // Initialize the bucket index
-
-    // Calculate K-Bucket Prefix (index)
-    for (bucketIndex = 0; bucketIndex < localBinaryID.length; bucketIndex++) { // Iterate over the binary ID
-      if (localBinaryID[bucketIndex] !== peerBinaryID[bucketIndex]) { // Compare the bits
-        break; // Stop when the first differing bit is found
-      }
-    }
+    // Calculate K-Bucket Prefix (index): the number of leading bits shared with the owner's ID
+    let bucketIndex = DHT.prefixFor(peerInfo.peerID);
 
-    let newBucketEntry = { // Create a new entry for the bucket
-      prefix: bucketIndex,  // Bucket index
-      node: peerInfo     // Peer information
-    };
+    let bucket = DHT.bucket(bucketIndex); // Least recently seen first
+    let existingEntry = bucket.find(entry => entry.node.peerID === peerInfo.peerID);
+    let refusal = existingEntry ? null : admissionRefusal(DHT, peerInfo);
 
-    // Check if a peer with the same prefix already exists
-    let existingEntry = DHT.table.find(entry => entry.prefix === bucketIndex); // Find an existing entry in the bucket
+    if (existingEntry) { // If the peer is already known
+      // Move it to the most recently seen end of its bucket
+      if (peerInfo.peerName) existingEntry.node.peerName = peerInfo.peerName;
+      DHT.touch(existingEntry);
 
-    if (existingEntry) { // If an entry exists
-      // Distance-Based Replacement Logic        
-      let existingPeerDistance = uniqueInstance.XORing(localBinaryID, uniqueInstance.Hex2Bin(existingEntry.node.peerID)); // Calculate the distance of the existing peer
-      let newPeerDistance = uniqueInstance.XORing(localBinaryID, peerBinaryID); // Calculate the distance of the new peer
+    } else if (refusal) {
+      // Too many contacts at its address or in its subnet already, keep the ones we have
+      metricsFor(DHT).get("kad_bucket_refusals_total").inc({ limit: refusal.limit });
+      bucketLog.debug("peer-refused", "Peer {peer} at {address} is not added to bucket P{bucket}, {reason}", { peer: peerInfo.peerID, address: `${peerInfo.peerIP}:${peerInfo.peerPort}`, bucket: bucketIndex, reason: refusal.reason, limit: refusal.limit });
 
-      if (newPeerDistance < existingPeerDistance) { // Compare the distances
-        // Replace if the new peer is 'closer'
-        DHT.table = DHT.table.filter(entry => entry.node.peerID !== existingEntry.node.peerID);  // Remove the existing peer
-        DHT.table.push(newBucketEntry);
-        console.log(`Peer ${peerInfo.peerID} replaces peer ${existingEntry.node.peerID} in bucket P${bucketIndex}`); // Log the replacement
-      } else {
-        console.log(`Peer ${peerInfo.peerID} is not added to bucket P${bucketIndex}. Peer ${existingEntry.node.peerID} is closer.`); // Log the decision
-      }
+    } else if (!DHT.isBucketFull(bucketIndex)) {
+      // Adding to a Non-Full Bucket
+      DHT.insert(peerInfo);
+      metricsFor(DHT).get("kad_bucket_insertions_total").inc();
+      bucketLog.info("peer-added", "Peer {peer} is added to bucket P{bucket}", { peer: peerInfo.peerID, address: `${peerInfo.peerIP}:${peerInfo.peerPort}`, bucket: bucketIndex });
 
     } else {
-      // Adding to a Non-Full Bucket
-      if (DHT.table.length < 32) { // Assuming a maximum bucket size of 32
-        DHT.table.push(newBucketEntry); // Add the new peer to the bucket
-        console.log(`Bucket P${bucketIndex} has no value, adding ${peerInfo.peerID} \n`);  // Log the addition
-      } else { // If the bucket is full
-        console.log("DHT table is full. Cannot add more entries."); // Log that the DHT is full
+      // Full Bucket: keep the new peer as a spare and check on the least recently seen one
+      DHT.addReplacement(peerInfo);
+      metricsFor(DHT).get("kad_bucket_spares_total").inc();
+      let stalestEntry = bucket[0];
+
+      if (DHT.pingsInFlight.has(stalestEntry.node.peerID)) {
+        return; // Already being checked, the new peer waits in the replacement cache
       }
+      DHT.pingsInFlight.add(stalestEntry.node.peerID);
+
+      pingPeer(DHT, stalestEntry.node, (alive) => {
+        DHT.pingsInFlight.delete(stalestEntry.node.peerID);
+        if (!DHT.contains(stalestEntry)) return; // Removed while we were waiting
+
+        if (alive) {
+          DHT.touch(stalestEntry);
+          bucketLog.info("peer-kept", "Peer {peer} is not added to bucket P{bucket}, peer {stalest} is still alive", { peer: peerInfo.peerID, bucket: bucketIndex, stalest: stalestEntry.node.peerID });
+        } else {
+          evictEntry(DHT, stalestEntry, "it did not answer"); // Evict the unresponsive peer
+        }
+      });
     }
+  }
+}
+// ---------------------------------------------------------------------
+
+function evictEntry(DHT, entry, reason) {
+  /**
+   * Removes a dead peer from its bucket and promotes the most recently seen peer of the 
+   * bucket's replacement cache the admission limits still let in, if there is one.
+   *
+   * @param {Object} DHT - The Kademlia Distributed Hash Table.
+   * @param {Object} entry - The DHT entry of the dead peer.
+   * @param {string} reason - Why the peer is evicted, for the log.
+   */
+  let replacement = DHT.evict(entry, (spare) => !admissionRefusal(DHT, spare));
+  metricsFor(DHT).get("kad_bucket_evictions_total").inc();
+  if (replacement) {
+    metricsFor(DHT).get("kad_bucket_replacements_total").inc();
+    bucketLog.info("peer-replaced", "Peer {replacement} replaces peer {peer} in bucket P{bucket}, {reason}", { replacement: replacement.node.peerID, peer: entry.node.peerID, bucket: entry.prefix, reason: reason });
   } else {
-    // console.log(`Peer ${peerInfo.peerID} is the owner. Not adding to bucket.`);
+    bucketLog.info("peer-removed", "Peer {peer} is removed from bucket P{bucket}, {reason}", { peer: entry.node.peerID, bucket: entry.prefix, reason: reason });
   }
 }
+// ---------------------------------------------------------------------
 
+function admissionRefusal(DHT, peerInfo) {
+  /**
+   * Checks a new peer against the admission limits, which keep a single host, or a single 
+   * network, from taking over the DHT with made-up contacts: a bucket, and the whole table, 
+   * hold at most so many contacts at the same IP address and in the same /24 subnet. The 
+   * contacts already there are kept, so the peers that have been around longest win. The 
+   * unlimited subnets, loopback only unless configured otherwise, are not limited.
+   *
+   * @param {Object} DHT - The Kademlia Distributed Hash Table.
+   * @param {Object} peerInfo - The peer information object of the new peer.
+   * @returns {Object|null} The `limit` the peer would exceed and the `reason`, for the log; 
+   *                        null if it may be added.
+   */
+  let ip = normalizeIP(peerInfo.peerIP);
+  if (isUnlimited(DHT, ip)) return null;
+  let subnet = subnetOf(ip);
+  let bucketIndex = DHT.prefixFor(peerInfo.peerID);
+
+  let contacts = Array.from(DHT).filter(entry => entry.node.peerID !== peerInfo.peerID);
+  let sameIP = contacts.filter(entry => normalizeIP(entry.node.peerIP) === ip);
+  let sameSubnet = contacts.filter(entry => subnetOf(normalizeIP(entry.node.peerIP)) === subnet);
+  let inBucket = (entries) => entries.filter(entry => entry.prefix === bucketIndex).length;
+
+  if (inBucket(sameIP) >= MAX_BUCKET_PER_IP) {
+    return { limit: "bucket_ip", reason: `it already holds ${MAX_BUCKET_PER_IP} contacts at ${ip}` };
+  }
+  if (inBucket(sameSubnet) >= MAX_BUCKET_PER_SUBNET) {
+    return { limit: "bucket_subnet", reason: `it already holds ${MAX_BUCKET_PER_SUBNET} contacts in ${subnet}` };
+  }
+  if (sameIP.length >= MAX_TABLE_PER_IP) {
+    return { limit: "table_ip", reason: `the table already holds ${MAX_TABLE_PER_IP} contacts at ${ip}` };
+  }
+  if (sameSubnet.length >= MAX_TABLE_PER_SUBNET) {
+    return { limit: "table_subnet", reason: `the table already holds ${MAX_TABLE_PER_SUBNET} contacts in ${subnet}` };
+  }
+  return null;
+}
+// ---------------------------------------------------------------------
 
-// -----------------------------Parsing Functions----------------------------------------
+function normalizeIP(ip) {
+  /**
+   * @param {string} ip - An IP address, as a transport reports it.
+   * @returns {string} The address, IPv4-mapped IPv6 addresses as plain IPv4 ones.
+   */
+  let mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || "");
+  return mapped ? mapped[1] : String(ip).toLowerCase();
+}
+// ---------------------------------------------------------------------
 
-function parseMessage(data) {
+function isUnlimited(DHT, ip) {
   /**
-   * Parses a raw message buffer (likely received over the network) in accordance with a 
-   * custom protocol and extracts relevant data into a structured object. 
-   *
-   * @param {Buffer} data -  The raw message data.
-   * @returns {Object} A parsed packet object containing version, message type, sender name, 
-   *                   and a list of included peers (if any).
+   * @param {Object} DHT - The Kademlia Distributed Hash Table.
+   * @param {string} ip - A normalized IP address.
+   * @returns {boolean} True if the admission limits of the DHT do not apply to the address.
    */
+  if (!DHT.unlimitedAddresses) {
+    DHT.unlimitedAddresses = new net.BlockList();
+    (DHT.limits.unlimitedSubnets || UNLIMITED_SUBNETS).forEach(subnet => {
+      let [address, bits] = subnet.split("/");
+      if (bits === undefined) DHT.unlimitedAddresses.addAddress(address);
+      else DHT.unlimitedAddresses.addSubnet(address, Number(bits));
+    });
+  }
+  return net.isIPv4(ip) && DHT.unlimitedAddresses.check(ip);
+}
+// ---------------------------------------------------------------------
 
-  let parsedPacket = {};  // Initialize the parsed packet object
-  let peerList = [];  // Initialize an array to store peer information
-  let bitIndex = 0;  // Initialize the bit index for parsing
+function subnetOf(ip) {
+  /**
+   * @param {string} ip - A normalized IP address.
+   * @returns {string} Its /24 subnet, e.g. "203.0.113.0/24"; a host name is its own subnet.
+   */
+  if (!net.isIPv4(ip)) return ip;
+  return ip.split(".").slice(0, 3).join(".") + ".0/24";
+}
+// ---------------------------------------------------------------------
 
-  // Parse Version (4 bits)
-  parsedPacket.version = parseBitPacket(data, bitIndex, 4);  // Parse the version
-  bitIndex += 4;  // Increment the bit index
+// ----------------------------Liveness Functions--------------------------------------
 
-  // Parse Message Type (7 bits)
-  parsedPacket.msgType = parseBitPacket(data, bitIndex, 7);  // Parse the message type
-  bitIndex += 7;  // Increment the bit index
+function handlePingMessage(reply, DHT) {
+  /**
+   * Answers an incoming 'ping' message with a 'pong'.
+   *
+   * @param {Function} reply - Sends the reply to the pinging peer.
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   */
+  ptpMessage.init(9, ptpMessage.messageTypes.PONG, { owner: DHT.owner, table: [] });
+  reply(ptpMessage.getPacket());
+}
+// ---------------------------------------------------------------------
 
-  // Parse Number of Peers (9 bits)
-  let numPeers = parseBitPacket(data, bitIndex, 9);  // Parse the number of peers
-  bitIndex += 9;  // Increment the bit index
+function pingPeer(DHT, peer, callback) {
+  /**
+   * Checks whether a peer is still alive by sending it a 'ping' message.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object} peer - The peer information object of the peer to check.
+   * @param {Function} callback - Called with true if the peer answered with a 'pong', otherwise false.
+   */
+  rpcFor(DHT).ping(peer).then(callback);
+}
+// ---------------------------------------------------------------------
 
-  // Parse Sender Name Size (12 bits)
-  let nameSize = parseBitPacket(data, bitIndex, 12); // Parse the sender name size
-  bitIndex += 12;    // Increment the bit index
+function sweepLiveness(DHT) {
+  /**
+   * Pings every peer of the DHT that has not been seen within the ping interval. A peer 
+   * that answers is marked as seen; one that misses MAX_MISSED_PINGS pings in a row is 
+   * evicted and replaced from its bucket's replacement cache. A long-lived peer, in the 
+   * table for LONG_LIVED_AGE or more, gets twice as many: it has proved more likely to 
+   * come back than any newcomer it would make room for.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   */
+  let now = uniqueInstance.now();
 
-  // Extract Sender Name 
-  let byteIndex = Math.ceil(bitIndex / 8); // Calculate starting byte index
-  parsedPacket.senderName = bytes2string(data.slice(byteIndex, byteIndex + nameSize)); 
-  byteIndex += nameSize; 
-  bitIndex = byteIndex * 8; // Update bitIndex to the next aligned byte
+  Array.from(DHT).filter(entry => now - (entry.lastSeen || 0) >= PING_INTERVAL).forEach(entry => {
+    if (DHT.pingsInFlight.has(entry.node.peerID)) return; // Already being checked
+    DHT.pingsInFlight.add(entry.node.peerID);
 
-  // Parse Peers List
-  if (numPeers > 0) { // If there are peers in the message
-    for (let i = 0; i < numPeers; i++) { // Iterate over the number of peers
-      let ipSegments = [];
+    pingPeer(DHT, entry.node, (alive) => {
+      DHT.pingsInFlight.delete(entry.node.peerID);
+      if (!DHT.contains(entry)) return; // Removed while we were waiting
 
-      // Parse IP Address
-      for (let j = 0; j < 4; j++) {  // Parse the IP address
-        ipSegments.push(parseBitPacket(data, bitIndex, 8));  // Parse each segment
-        bitIndex += 8; 
+      if (alive) {
+        DHT.touch(entry);
+      } else {
+        entry.missedPings = (entry.missedPings || 0) + 1;
+        bucketLog.warn("ping-missed", "Peer {peer} in bucket P{bucket} missed {missed} ping(s)", { peer: entry.node.peerID, bucket: entry.prefix, missed: entry.missedPings });
+        if (entry.missedPings >= maxMissedPings(entry, now)) {
+          evictEntry(DHT, entry, `it missed ${entry.missedPings} pings`);
+        }
       }
+    });
+  });
+}
+// ---------------------------------------------------------------------
+
+function maxMissedPings(entry, now) {
+  /**
+   * @param {Object} entry - A DHT entry.
+   * @param {number} now - The time of the sweep.
+   * @returns {number} The missed pings in a row after which the entry's peer is evicted.
+   */
+  let age = now - (entry.firstSeen || now);
+  return age >= LONG_LIVED_AGE ? MAX_MISSED_PINGS * 2 : MAX_MISSED_PINGS;
+}
 
-      // Parse Port
-      let port = parseBitPacket(data, bitIndex, 16); // Parse the port
-      bitIndex += 16; 
 
-      // Create Peer Information Object
-      let peerIP = ipSegments.join('.'); // Combine IP segments
-      let peerID = uniqueInstance.getPeerID(peerIP, port); // Generate a peer ID
-      let peerInfo = { // Create a peer information object
-        peerIP: peerIP, // IP address
-        peerPort: port, // Port number
-        peerID: peerID // Peer ID
-      };
+// ----------------------------Key/Value Functions--------------------------------------
 
-      peerList.push(peerInfo); 
-    }
+function handleStoreMessage(packet, DHT, senderPeer) {
+  /**
+   * Processes an incoming 'store' message by keeping the key/value pair in the local store. 
+   * Its stored time is reset, so a value lives on while its publisher keeps republishing it. 
+   * A value this peer published itself is kept instead: the scheduler republishes it as 
+   * this peer's, so another peer's value must not take its place.
+   *
+   * @param {Object} packet - The parsed 'store' message.
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object} senderPeer - The peer information object for the peer that sent the message.
+   */
+  let address = `${senderPeer.peerIP}:${senderPeer.peerPort}`;
+  let existing = DHT.store[packet.key];
+  if (existing && existing.original) {
+    storeLog.info("value-kept", "Kept the value published here for key {key} over the one received from {name} [{address}]", { key: packet.key, name: packet.senderName, address: address });
+    return;
+  }
+  DHT.store[packet.key] = {
+    value: packet.value,
+    storedAt: uniqueInstance.now(),
+    original: false,
+    publishedAt: null
+  };
+  storeLog.info("value-received", "Stored value for key {key} received from {name} [{address}]", { key: packet.key, name: packet.senderName, address: address });
+}
+// ---------------------------------------------------------------------
+
+function handleFindValueMessage(reply, packet, DHT, senderPeer) {
+  /**
+   * Answers an incoming 'find value' message. The reply carries the value when it is in 
+   * the local store, otherwise the K known peers closest to the key.
+   *
+   * @param {Function} reply - Sends the reply to the requesting peer.
+   * @param {Object} packet - The parsed 'find value' message.
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object} senderPeer - The peer information object for the peer that sent the message.
+   */
+  learnRequester(packet, { address: senderPeer.peerIP, port: senderPeer.peerPort }, DHT);
+  let stored = DHT.store[packet.key];
+
+  if (stored !== undefined) {
+    storeLog.info("value-served", "Value for key {key} requested by {name} [{address}] found locally", { key: packet.key, name: packet.senderName, address: `${senderPeer.peerIP}:${senderPeer.peerPort}` });
+    ptpMessage.init(9, ptpMessage.messageTypes.VALUE, { owner: DHT.owner, table: [] }, { key: packet.key, value: stored.value });
+  } else {
+    storeLog.debug("value-missing", "Value for key {key} requested by {name} [{address}] not found, replying with closest peers", { key: packet.key, name: packet.senderName, address: `${senderPeer.peerIP}:${senderPeer.peerPort}` });
+    let closest = findClosestPeers(DHT, packet.key, DHT.k);
+    ptpMessage.init(9, ptpMessage.messageTypes.VALUE, { owner: DHT.owner, table: closest }, { key: packet.key });
+  }
+  reply(ptpMessage.getPacket());
+}
+// ---------------------------------------------------------------------
+
+function storeValue(DHT, key, value, callback) {
+  /**
+   * Publishes a key/value pair. This peer keeps the original, which the scheduler 
+   * republishes, and replicates it to the K peers closest to the key's ID.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {string} key - The key to store the value under.
+   * @param {string} value - The value to store.
+   * @param {Function} callback - Optional, called with the peers the pair was sent to.
+   */
+  if (value === undefined || value === null || String(value).length == 0) {
+    storeLog.warn("value-empty", "Cannot store an empty value for key {key}", { key: key });
+    if (callback) callback([]);
+    return;
   }
+  let keyID = uniqueInstance.getKeyID(key);
 
-  // Assemble Parsed Packet
-  parsedPacket.peersList = peerList; 
-  return parsedPacket; 
+  DHT.store[keyID] = { value: String(value), storedAt: uniqueInstance.now(), original: true, publishedAt: null };
+  storeLog.info("value-stored", "Stored value for key {key} locally", { key: keyID });
+  republishValue(DHT, keyID, callback);
 }
+// ---------------------------------------------------------------------
 
+function republishValue(DHT, keyID, callback) {
+  /**
+   * Sends a locally stored key/value pair to the K peers closest to its key. The closest 
+   * peers are found with an iterative lookup.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {string} keyID - The hashed key of the pair.
+   * @param {Function} callback - Optional, called with the peers the pair was sent to.
+   */
+  let stored = DHT.store[keyID];
+  stored.publishedAt = uniqueInstance.now();
+
+  findNode(DHT, keyID, (contacts) => {
+    let targets = contacts.slice(0, DHT.k);
+    targets.forEach(peer => {
+      rpcFor(DHT).store(peer, keyID, stored.value);
+      storeLog.debug("value-sent", "Sent value for key {key} to peer {peer}", { key: keyID, peer: peer.peerID });
+    });
+    if (callback) callback(targets);
+  });
+}
 // ---------------------------------------------------------------------
 
-function bytes2string(array) { 
-  let result = "";
-  for (var i = 0; i < array.length; ++i) {
-    if (array[i] > 0) result += String.fromCharCode(array[i]);
+function findValue(DHT, key, callback) {
+  /**
+   * Looks up a value by key. The local store is checked first; otherwise an iterative 
+   * lookup sends 'find value' messages towards the key and stops at the first value returned.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {string} key - The key to look up.
+   * @param {Function} callback - Called once with the value, or null if it was not found.
+   */
+  let keyID = uniqueInstance.getKeyID(key);
+
+  if (DHT.store[keyID] !== undefined) {
+    callback(DHT.store[keyID].value);
+    return;
   }
-  return result;
+
+  iterativeLookup(DHT, keyID, ptpMessage.messageTypes.FIND_VALUE, (contacts, value) => {
+    if (value !== null) {
+      storeLog.info("value-found", "Value for key {key} found", { key: keyID });
+    } else {
+      storeLog.info("value-not-found", "Value for key {key} was not found after asking {peers} peers", { key: keyID, peers: contacts.length });
+    }
+    callback(value);
+  });
 }
 // ---------------------------------------------------------------------
 
-function parseBitPacket(packet, offset, length) {
-  let number = 0;
-  for (var i = 0; i < length; i++) {
-    let bytePosition = Math.floor((offset + i) / 8);
-    let bitPosition = 7 - ((offset + i) % 8);
-    let bit = (packet[bytePosition] >> bitPosition) & 1;
-    number = (number << 1) | bit;
+// ----------------------------Lookup Functions--------------------------------------
+
+function handleFindNodeMessage(reply, packet, DHT, from) {
+  /**
+   * Answers an incoming 'find node' message with the K known peers closest to the target 
+   * ID, leaving out the requester itself.
+   *
+   * @param {Function} reply - Sends the reply to the requesting peer.
+   * @param {Object} packet - The parsed 'find node' message.
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {Object} from - The sender's address and port.
+   */
+  let requester = packet.peersList[0];
+  let closest = findClosestPeers(DHT, packet.key, DHT.k + 1)
+    .filter(entry => !requester || entry.node.peerID !== requester.peerID)
+    .slice(0, DHT.k);
+
+  ptpMessage.init(9, ptpMessage.messageTypes.NODES, { owner: DHT.owner, table: closest }, { key: packet.key });
+  reply(ptpMessage.getPacket());
+  learnRequester(packet, from, DHT);
+}
+// ---------------------------------------------------------------------
+
+function learnRequester(packet, from, DHT) {
+  /**
+   * Lookup requests carry the requester's own contact as their only peer entry, and 'hello' 
+   * messages as their first one, so the peers they reach learn about the sender. A contact 
+   * whose ID is not the one the 
+   * request's signature proves is ignored. The signature says nothing of the address, 
+   * though: a contact at the address the request came from is added to the DHT, or marked 
+   * as recently seen when it is already known, and any other one is checked like a contact 
+   * learned second-hand (see `checkContact`). This is how requests over connections, which 
+   * leave from another port than the requester listens on, get their requester added.
+   *
+   * @param {Object} packet - The parsed 'find node', 'find value' or 'hello' message.
+   * @param {Object} from - The sender's address and port.
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   */
+  let requester = packet.peersList[0];
+  if (!requester) return;
+  if (requester.peerID !== packet.senderID) {
+    nodeLog.warn("requester-mismatch", "Ignoring the contact {peer} sent by peer {sender}, it is not the sender's", { peer: requester.peerID, sender: packet.senderID });
+    return;
+  }
+  requester.peerName = packet.senderName;
+  if (normalizeIP(requester.peerIP) === normalizeIP(from.address) && Number(requester.peerPort) === Number(from.port)) {
+    pushBucket(DHT, requester);
+  } else {
+    checkContact(DHT, requester);
   }
-  return number;
 }
+// ---------------------------------------------------------------------
 
+function findNode(DHT, targetID, callback) {
+  /**
+   * Finds the contacts closest to a target ID with an iterative 'find node' lookup.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {string} targetID - The hex ID to look for.
+   * @param {Function} callback - Called with the closest contacts that replied, closest first.
+   */
+  iterativeLookup(DHT, targetID, ptpMessage.messageTypes.FIND_NODE, (contacts) => callback(contacts));
+}
 // ---------------------------------------------------------------------
+
+function iterativeLookup(DHT, targetID, msgType, callback) {
+  /**
+   * The Kademlia iterative lookup shared by 'find node' and 'find value'. A shortlist is 
+   * seeded with the K closest known peers. Up to ALPHA of its closest unqueried contacts 
+   * are queried in parallel, the contacts returned are merged into it, and the lookup ends 
+   * once the K closest contacts that have not failed have all replied. A 'find value' 
+   * lookup ends early as soon as a peer returns the value, and any lookup as soon as the 
+   * DHT's RPC layer is closed.
+   *
+   * @param {Object} DHT - The local peer's Kademlia Distributed Hash Table.
+   * @param {string} targetID - The hex ID to look for.
+   * @param {number} msgType - FIND_NODE or FIND_VALUE.
+   * @param {Function} callback - Called once with the closest contacts that replied and the 
+   *                              value found (null when there is none).
+   */
+  let shortlist = findClosestPeers(DHT, targetID, DHT.k).map(entry => ({ node: entry.node, state: "new" }));
+
+  // Remember when the target's bucket last saw a lookup, so the scheduler can skip refreshing it
+  DHT.markLookup(targetID);
+  metricsFor(DHT).get("kad_lookups_total").inc({ type: msgType === ptpMessage.messageTypes.FIND_VALUE ? "FIND_VALUE" : "FIND_NODE" });
+  let inFlight = 0;
+  let done = false;
+
+  function finish(value) {
+    if (done) return;
+    done = true;
+    let contacts = shortlist.filter(c => c.state === "replied").slice(0, DHT.k).map(c => c.node);
+    callback(contacts, value);
+  }
+
+  function merge(peers) {
+    peers.forEach(peer => {
+      if (peer.peerID === DHT.owner.peerID) return;
+      if (shortlist.find(c => c.node.peerID === peer.peerID)) return;
+      shortlist.push({ node: peer, state: "new" });
+    });
+    shortlist = sortByDistance(shortlist, targetID);
+  }
+
+  function ask(peer) {
+    let rpc = rpcFor(DHT);
+    if (msgType == ptpMessage.messageTypes.FIND_VALUE) return rpc.findValue(peer, targetID);
+    return rpc.findNode(peer, targetID).then(peers => peers && { value: null, peers: peers });
+  }
+
+  function query(contact) {
+    contact.state = "queried";
+    inFlight++;
+    ask(contact.node).then(reply => {
+      inFlight--;
+      if (done) return;
+      if (!reply) {
+        contact.state = "failed";
+        step();
+        return;
+      }
+      contact.state = "replied";
+      pushBucket(DHT, contact.node); // The peer answered, so it is worth keeping
+      if (reply.value !== null) {
+        finish(reply.value);
+        return;
+      }
+      merge(reply.peers);
+      step();
+    }, err => { // The request could not even be built, e.g. encoded
+      inFlight--;
+      nodeLog.warn("lookup-query-failed", "Could not query peer {peer}: {error}", { peer: contact.node.peerID, error: err.message });
+      if (done) return;
+      contact.state = "failed";
+      step();
+    });
+  }
+
+  function step() {
+    if (rpcFor(DHT).closed) { // The peer stopped, the lookup ends with what it has
+      finish(null);
+      return;
+    }
+    let closest = shortlist.filter(c => c.state !== "failed").slice(0, DHT.k);
+    let candidates = closest.filter(c => c.state === "new");
+    if (candidates.length == 0 && inFlight == 0) {
+      finish(null);
+      return;
+    }
+    candidates.slice(0, Math.max(DHT.alpha - inFlight, 0)).forEach(query);
+  }
+
+  step();
+}
+// ---------------------------------------------------------------------
+
+function findClosestPeers(DHT, targetID, count) {
+  /**
+   * Returns up to `count` entries of the DHT whose peers are closest to a target ID.
+   *
+   * @param {Object} DHT - The Kademlia Distributed Hash Table.
+   * @param {string} targetID - The hex ID to measure distances against.
+   * @param {number} count - The maximum number of entries to return.
+   * @returns {Array} The closest DHT entries, closest first.
+   */
+  return DHT.closestPeers(targetID, count);
+}
+// ---------------------------------------------------------------------
+
+function sortByDistance(entries, targetID) {
+  /**
+   * Sorts DHT entries (or any objects with a `node` field) by the XOR distance between 
+   * their peer ID and a target ID.
+   *
+   * @param {Array} entries - The DHT entries to sort.
+   * @param {string} targetID - The hex ID to measure distances against.
+   * @returns {Array} A new array with the entries sorted closest first.
+   */
+  return entries.slice().sort((a, b) => RoutingTable.compareDistance(targetID, a.node.peerID, b.node.peerID));
+}
+
@@ -0,0 +1,351 @@
+let EventEmitter = require("events");
+let net = require("net");
+let handler = require("./KADNetworkManager");
+let scheduler = require("./KADScheduler");
+let uniqueInstance = require("./Singleton");
+let RoutingTable = require("./KADRoutingTable");
+let transports = require("./KADTransport");
+let codec = require("./KADCodec");
+let storage = require("./KADStorage");
+let Identity = require("./KADIdentity");
+let log = require("./KADLogger").create("node");
+
+const DEFAULT_HOST = "127.0.0.1";
+const SAVE_INTERVAL = 60 * 1000; // Milliseconds between two saves of the state to the data directory
+
+// ---------------------------------------------------------------------
+/**
+ * A Kademlia peer for programs to embed: it listens, joins the network through seed
+ * peers, keeps its routing table up to date with the scheduler, and stores and finds values.
+ * Every node is alike, and any running node can be the seed of the others. Nothing happens
+ * until `start()` is called.
+ *
+ * The node's ID derives from its Ed25519 key (see KADIdentity), which signs every message
+ * it sends. Without a data directory, the node gets a new key, hence a new ID, every time
+ * it starts.
+ *
+ * Given a data directory, the node saves its key, identity, contacts and stored values
+ * there while it runs and when it stops. Restarted, it comes back with the same ID on the
+ * same address, its values, and rejoins through its saved contacts when no seed is given.
+ *
+ *   const node = new KademliaNode({ name: "cache-1" });
+ *   node.on("peer-added", (peer) => console.log(`Met ${peer.peerID}`));
+ *   await node.start({ port: 4000, bootstrap: "127.0.0.1:3001" });
+ *   await node.put("colour", "blue");
+ *   await node.get("colour"); // "blue"
+ *   await node.stop();
+ *
+ * Events:
+ *   'listening'    ({ host, port })  - the node receives on its address
+ *   'peer-added'   (peer)            - a peer entered the routing table
+ *   'peer-evicted' (peer)            - a dead peer was evicted from the routing table
+ *   'message'      (packet, from)    - a kadPTP message was received, decoded
+ */
+class KademliaNode extends EventEmitter {
+  /**
+   * @param {Object} options - Optional `name` (sent along with every message), `k` (bucket
+   *                           size and replication factor), `alpha` (lookup parallelism),
+   *                           `transport` ("udp", the default, "tcp" or "memory", the latter
+   *                           on the MemoryNetwork given as `network`), `scheduler`,
+   *                           overrides of the KADScheduler intervals, `idBits` (the width
+   *                           of IDs, shared by all the nodes of a process), `dataDir`,
+   *                           the directory the node keeps its state in, `encrypt`, to
+   *                           send its messages through encrypted sessions, and the limits
+   *                           put on other peers: `rateLimit` (messages per second from an
+   *                           IP address), `maxMessageSize` (bytes), `maxConnections`
+   *                           (incoming TCP connections open at once) and
+   *                           `unlimitedSubnets`, the addresses ("IP" or "IP/BITS") exempt
+   *                           from the per-IP and per-subnet contact limits.
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || "";
+    this.k = options.k;
+    this.alpha = options.alpha;
+    this.transportKind = options.transport || "udp";
+    this.network = options.network;
+    this.schedulerOptions = options.scheduler;
+    this.dataDir = options.dataDir || null;
+    this.encrypt = Boolean(options.encrypt);
+    this.limits = {
+      rateLimit: options.rateLimit,
+      maxMessageSize: options.maxMessageSize,
+      maxConnections: options.maxConnections,
+      unlimitedSubnets: options.unlimitedSubnets,
+    };
+    this.storage = null;
+    this.identity = null;  // The KADIdentity, loaded or generated by the first start
+    this.dht = null;       // The routing table, while the node runs
+    this.scheduler = null;
+    this.saveTimer = null;
+    this.startedAt = null;
+    this.received = {};    // Message type name -> number of messages received
+
+    if (options.idBits) uniqueInstance.setIDBits(options.idBits);
+  }
+
+  /**
+   * The hex ID of the node, null until it starts.
+   */
+  get id() {
+    return this.dht ? this.dht.owner.peerID : null;
+  }
+
+  /**
+   * The peer information object of the node (peerName, peerIP, peerPort and peerID), null
+   * until it starts.
+   */
+  get contact() {
+    return this.dht ? this.dht.owner : null;
+  }
+
+  /**
+   * The KADMetrics registry of the node, null until it starts. `metrics.render()` gives the
+   * metrics in the Prometheus text format.
+   */
+  get metrics() {
+    return this.dht ? handler.metricsFor(this.dht) : null;
+  }
+
+  /**
+   * The peers of the routing table.
+   */
+  get peers() {
+    return this.dht ? Array.from(this.dht).map(entry => entry.node) : [];
+  }
+
+  /**
+   * Starts listening, then joins the network through the seed peers given, if any, or else
+   * through the contacts saved in the data directory.
+   *
+   * @param {Object} options - Optional `host`, an IPv4 address (the saved one, else
+   *                           127.0.0.1), `port` (the saved one, else a random one above
+   *                           3000) and `bootstrap`, the address of a seed peer as
+   *                           "host:port" or `{ host, port }`, or an array of them.
+   * @returns {Promise<KademliaNode>} The node, once listening and, with a seed, joined;
+   *                                  rejects if the host is not an IPv4 address.
+   */
+  async start(options = {}) {
+    if (this.dht) throw new Error("The node is already started");
+    if (this.dataDir && !this.storage) this.storage = storage.createStorage(this.dataDir);
+    let saved = this.storage ? this.storage.load() : { identity: null, key: null, contacts: [], values: {} };
+    if (!this.identity) this.identity = this.loadIdentity(saved.key);
+    let address = savedAddress(saved.identity, this.identity);
+    let host = options.host || (address && address.host) || DEFAULT_HOST;
+    if (!net.isIPv4(String(host))) throw new Error(`Invalid host ${host}, expected an IPv4 address`); // Other peers are given it
+    let port = Number(options.port) || (address && address.port) || uniqueInstance.getPort();
+
+    let owner = { peerName: this.name, peerIP: host, peerPort: port, peerID: this.identity.id };
+    let transport = transports.create(this.transportKind, { host: host, network: this.network, maxMessageSize: this.limits.maxMessageSize, maxConnections: this.limits.maxConnections });
+    let dht = new RoutingTable(owner, { k: this.k, alpha: this.alpha, transport: transport, identity: this.identity, encrypt: this.encrypt, limits: this.limits });
+    Object.assign(dht.store, saved.values);
+    dht.on("peer-added", (entry) => this.emit("peer-added", entry.node));
+    dht.on("peer-evicted", (entry) => this.emit("peer-evicted", entry.node));
+
+    try {
+      await new Promise((resolve, reject) => handler.listen(dht, (err) => (err ? reject(err) : resolve())));
+    } catch (err) {
+      dht.rpc.close();
+      throw err;
+    }
+    dht.rpc.on("message", (packet, from) => {
+      let type = codec.typeName(packet.msgType);
+      this.received[type] = (this.received[type] || 0) + 1;
+      this.emit("message", packet, from);
+    });
+    this.dht = dht;
+    this.startedAt = uniqueInstance.now();
+    this.received = {};
+    this.emit("listening", { host: host, port: port });
+
+    let seeds = [].concat(options.bootstrap || []);
+    if (seeds.length === 0) seeds = savedSeeds(saved.contacts, owner);
+    if (seeds.length > 0) await this.bootstrap(seeds);
+    if (this.dht !== dht) return this; // Stopped while joining
+    this.scheduler = scheduler.createScheduler(dht, this.schedulerOptions);
+    this.scheduler.start();
+    if (this.storage) {
+      this.save();
+      this.saveTimer = setInterval(() => this.save(), SAVE_INTERVAL);
+      this.saveTimer.unref();
+    }
+    return this;
+  }
+
+  /**
+   * Joins the network through seed peers: the seeds are added to the routing table and a
+   * self lookup finds the node's neighbours. Seeds that are down are skipped.
+   *
+   * @param {string|Object|Array} seeds - A seed peer's address, "host:port" or
+   *                                      `{ host, port }`, or an array of them; the host
+   *                                      is an IPv4 address, not a name.
+   * @returns {Promise<Array>} The contacts found by the self lookup; rejects if an address
+   *                           is not an IPv4 address and a port.
+   */
+  bootstrap(seeds) {
+    let dht = this.running();
+    return new Promise(resolve => handler.bootstrap(dht, [].concat(seeds).map(parseAddress), resolve));
+  }
+
+  /**
+   * Writes the identity, contacts and stored values of the node to its data directory. The
+   * node does so by itself every minute and when it stops.
+   */
+  save() {
+    let dht = this.running();
+    if (!this.storage) throw new Error("The node has no data directory");
+    this.storage.save(dht);
+  }
+
+  /**
+   * Stops the maintenance, fails the requests in flight and ends the lookups running, saves
+   * the state of the node if it has a data directory and stops listening. Nothing is sent
+   * afterwards, so no socket is left open.
+   *
+   * @returns {Promise} Resolves once the transport is closed.
+   */
+  async stop() {
+    if (!this.dht) return;
+    let dht = this.dht;
+    this.dht = null;
+    if (this.scheduler) this.scheduler.stop();
+    this.scheduler = null;
+    clearInterval(this.saveTimer);
+    this.saveTimer = null;
+    if (this.storage) this.storage.save(dht);
+    await new Promise(resolve => dht.rpc.close(() => resolve()));
+    dht.removeAllListeners();
+  }
+
+  /**
+   * Publishes a key/value pair: the node keeps and republishes it, and the K peers closest
+   * to the key store it too.
+   *
+   * @param {string} key - The key.
+   * @param {string} value - The value.
+   * @returns {Promise<Array>} The peers the pair was sent to.
+   */
+  put(key, value) {
+    let dht = this.running();
+    return new Promise(resolve => handler.storeValue(dht, key, value, resolve));
+  }
+
+  /**
+   * Looks up the value stored under a key, locally first, then in the network.
+   *
+   * @param {string} key - The key.
+   * @returns {Promise<string|null>} The value, or null if no peer holds it.
+   */
+  get(key) {
+    let dht = this.running();
+    return new Promise(resolve => handler.findValue(dht, key, resolve));
+  }
+
+  /**
+   * Finds the peers closest to an ID with an iterative lookup.
+   *
+   * @param {string} targetID - The hex ID to look for.
+   * @returns {Promise<Array>} The closest peers that replied, closest first.
+   */
+  findNode(targetID) {
+    let dht = this.running();
+    return new Promise(resolve => handler.findNode(dht, targetID, resolve));
+  }
+
+  /**
+   * Checks whether a peer is alive.
+   *
+   * @param {string|Object} address - The peer's address, "host:port" or `{ host, port }`.
+   * @returns {Promise<boolean>} True if the peer answered with a 'pong'.
+   */
+  ping(address) {
+    let dht = this.running();
+    return dht.rpc.ping(parseAddress(address));
+  }
+
+  /**
+   * A snapshot of the node's state: its contact, uptime, routing table and store sizes,
+   * the messages it received by type, its requests waiting for a reply and its encrypted
+   * sessions.
+   *
+   * @returns {Object} The statistics.
+   */
+  stats() {
+    let dht = this.running();
+    let stored = Object.values(dht.store);
+    return {
+      id: dht.owner.peerID,
+      name: dht.owner.peerName,
+      address: `${dht.owner.peerIP}:${dht.owner.peerPort}`,
+      uptime: uniqueInstance.now() - this.startedAt,
+      peers: dht.size,
+      buckets: dht.prefixes().length,
+      replacements: Object.values(dht.replacements).reduce((count, cache) => count + cache.length, 0),
+      values: { published: stored.filter(entry => entry.original).length, stored: stored.length },
+      received: Object.assign({}, this.received),
+      pendingRequests: dht.rpc.pending.size,
+      sessions: dht.rpc.sessions.size,
+    };
+  }
+
+  // The identity of the saved key, or else a new one, saved if the node has a data directory
+  loadIdentity(pem) {
+    if (pem) {
+      try {
+        return Identity.fromPem(pem);
+      } catch (err) {
+        log.warn("key-invalid", "Not reusing the saved key, generating a new one: {error}", { error: err.message });
+      }
+    }
+    let identity = Identity.generate();
+    if (this.storage) this.storage.saveKey(identity);
+    return identity;
+  }
+
+  // The routing table, or an error when the node is not running
+  running() {
+    if (!this.dht) throw new Error("The node is not started");
+    return this.dht;
+  }
+}
+
+// ---------------------------------------------------------------------
+
+// The { host, port } of the saved identity. Its ID should be the one of the node's key;
+// it is not when the key was replaced, or the IDs are not as wide as they were, in which
+// case the node comes back on the same address under a new ID.
+function savedAddress(saved, identity) {
+  if (!saved) return null;
+  if (saved.id !== identity.id) {
+    log.warn("identity-mismatch", "The saved ID {id} is not the one of the node's key, the node is now {current} ({bits} bits)", { id: saved.id, current: identity.id, bits: uniqueInstance.getIDBits() });
+  }
+  return { host: saved.host, port: saved.port };
+}
+
+// The saved contacts to rejoin through, most recently seen first
+function savedSeeds(contacts, owner) {
+  return contacts
+    .filter(contact => contact.id !== owner.peerID && contact.host && contact.port)
+    .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0))
+    .map(contact => ({ host: contact.host, port: contact.port }));
+}
+
+// A seed address, "host:port" or { host, port }, as the { peerIP, peerPort } of a peer.
+// The host must be an IPv4 address: replies are matched with requests by the address they
+// come from, so a host name never gets its replies taken in
+function parseAddress(address) {
+  let peer;
+  if (typeof address === "string") {
+    let separator = address.lastIndexOf(":");
+    if (separator < 0) throw new Error(`Invalid peer address ${address}, expected IP:PORT`);
+    peer = { peerIP: address.slice(0, separator), peerPort: Number(address.slice(separator + 1)) };
+  } else {
+    peer = { peerIP: address.host, peerPort: Number(address.port) };
+  }
+  if (!net.isIPv4(String(peer.peerIP)) || !Number.isInteger(peer.peerPort) || peer.peerPort < 1 || peer.peerPort > 65535) {
+    throw new Error(`Invalid peer address ${typeof address === "string" ? address : `${address.host}:${address.port}`}, expected an IPv4 address and a port`);
+  }
+  return peer;
+}
+
+module.exports = KademliaNode;
@@ -0,0 +1,104 @@
+let uniqueInstance = require("./Singleton");
+
+// Default limits of a rate limiter
+const defaults = {
+  rate: 50,          // Messages per second an address may send, on average
+  burst: 100,        // Messages an address may send at once after a quiet spell, at least `rate`
+  maxTracked: 10000, // Addresses tracked at most; those with a full bucket go first
+};
+
+// ---------------------------------------------------------------------
+/**
+ * Per-address token buckets. Every address starts with `burst` tokens, every message
+ * takes one, and tokens come back at `rate` per second up to `burst`. An address out of
+ * tokens is refused until one comes back.
+ *
+ *   const limiter = new RateLimiter({ rate: 10, burst: 20 });
+ *   if (!limiter.take(from.address)) {
+ *     if (limiter.tell(from.address)) ... // Tell the peer once, not once per message
+ *   }
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Optional overrides of the `defaults` limits.
+   */
+  constructor(options = {}) {
+    this.rate = options.rate || defaults.rate;
+    this.burst = options.burst || Math.max(defaults.burst, this.rate);
+    this.maxTracked = options.maxTracked || defaults.maxTracked;
+    this.buckets = new Map(); // Address -> { tokens, updatedAt, told }
+  }
+
+  /**
+   * The number of addresses tracked.
+   */
+  get size() {
+    return this.buckets.size;
+  }
+
+  /**
+   * Takes a token for a message from an address.
+   *
+   * @param {string} address - The sender's IP address.
+   * @returns {boolean} True if the message may go through, false if the address is over
+   *                    its rate.
+   */
+  take(address) {
+    let bucket = this.refill(address);
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    bucket.told = false;
+    return true;
+  }
+
+  /**
+   * Records that an address over its rate is being told so.
+   *
+   * @param {string} address - The sender's IP address.
+   * @returns {boolean} True the first time since the address ran out of tokens, false
+   *                    after that: it has been told already.
+   */
+  tell(address) {
+    let bucket = this.refill(address);
+    if (bucket.told) return false;
+    bucket.told = true;
+    return true;
+  }
+
+  /**
+   * @param {string} address - The sender's IP address.
+   * @returns {number} Milliseconds until the address gets a token back, 0 if it has one.
+   */
+  retryAfter(address) {
+    let bucket = this.refill(address);
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 1000 / this.rate);
+  }
+
+  // The bucket of an address, its tokens brought up to date
+  refill(address) {
+    let now = uniqueInstance.now();
+    let bucket = this.buckets.get(address);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxTracked) this.prune(now);
+      bucket = { tokens: this.burst, updatedAt: now, told: false };
+      this.buckets.set(address, bucket);
+    } else {
+      bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.rate / 1000);
+      bucket.updatedAt = now;
+    }
+    return bucket;
+  }
+
+  // Forgets the addresses whose bucket is full again, which a new bucket would be the same
+  // as; if every bucket is still in use, the one tracked the longest goes
+  prune(now) {
+    this.buckets.forEach((bucket, address) => {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.rate / 1000 >= this.burst) this.buckets.delete(address);
+    });
+    if (this.buckets.size >= this.maxTracked) this.buckets.delete(this.buckets.keys().next().value);
+  }
+}
+
+RateLimiter.defaults = defaults;
+
+module.exports = RateLimiter;
@@ -0,0 +1,244 @@
+let EventEmitter = require("events");
+let uniqueInstance = require("./Singleton");
+
+const DEFAULT_K = 20; // Default bucket size
+const DEFAULT_ALPHA = 3; // Default number of lookup queries kept in flight at the same time
+
+// ---------------------------------------------------------------------
+/**
+ * The Kademlia routing table of a peer. It wraps the `{ owner, table }` DHT object used
+ * throughout the network manager: `owner` is the local peer and `table` holds one entry
+ * `{ prefix, node, firstSeen, lastSeen, missedPings }` per known peer. The entries of a
+ * bucket (the peers sharing `prefix` leading bits with the owner) are kept in
+ * least-recently-seen order.
+ *
+ * Besides the buckets, the object carries what the rest of the peer keeps per DHT: the
+ * replacement caches of full buckets, when each bucket last saw a lookup, the peers being
+ * pinged, the local key/value store, the peer's identity, the transport it talks through
+ * with the RPC layer on top of it, and the peer's metrics.
+ *
+ * The table emits 'peer-added' with the new entry whenever a peer enters a bucket, and
+ * 'peer-evicted' with the old entry when a dead peer is evicted.
+ */
+class RoutingTable extends EventEmitter {
+  /**
+   * @param {Object} owner - The local peer: peerName, peerIP, peerPort and peerID.
+   * @param {Object} options - Optional `k`, the maximum number of peers in a bucket, also
+   *                           the replication factor and lookup width, `alpha`, the lookup
+   *                           parallelism, `transport` (see KADTransport; TCP when left out) and
+   *                           `identity`, the KADIdentity the owner signs its messages with,
+   *                           needed to talk to other peers; the owner's peerID is its ID.
+   *                           With `encrypt`, the peer talks through encrypted sessions.
+   *                           `limits` holds the `rateLimit` and `maxMessageSize` its RPC
+   *                           layer puts on other peers, and the `unlimitedSubnets` the
+   *                           admission limits do not apply to.
+   */
+  constructor(owner, options = {}) {
+    super();
+    this.owner = owner;
+    this.k = options.k || DEFAULT_K;
+    this.alpha = options.alpha || DEFAULT_ALPHA;
+    this.table = [];
+    this.replacements = {}; // Bucket prefix -> spare peers, most recently seen last
+    this.lookups = {};      // Bucket prefix -> time of the last lookup into that bucket
+    this.pingsInFlight = new Set(); // IDs of the peers being pinged, before eviction or by the liveness sweep
+    this.store = {};        // Hashed key -> { value, storedAt, original, publishedAt }
+    this.transport = options.transport || null;
+    this.identity = options.identity || null;
+    this.encrypt = Boolean(options.encrypt);
+    this.limits = options.limits || {};
+    this.rpc = null;        // The KADRpc on the transport, created by the network manager
+    this.metrics = null;    // The KADMetrics registry, created by the network manager
+  }
+
+  /**
+   * The number of peers in the table.
+   */
+  get size() {
+    return this.table.length;
+  }
+
+  /**
+   * Iterates over the entries of the table, bucket order preserved.
+   */
+  *[Symbol.iterator]() {
+    yield* this.table;
+  }
+
+  /**
+   * XOR distance comparison of two IDs with respect to a target ID.
+   *
+   * @returns {number} Negative if `id1` is closer to `targetID` than `id2`, positive if it
+   *                   is farther, 0 if both are at the same distance.
+   */
+  static compareDistance(targetID, id1, id2) {
+    return uniqueInstance.compareDistance(targetID, id1, id2);
+  }
+
+  /**
+   * The prefix of the bucket an ID falls into: the number of leading bits it shares with
+   * the owner's ID.
+   *
+   * @param {string} id - A hex peer or key ID.
+   * @returns {number} The bucket prefix.
+   */
+  prefixFor(id) {
+    return uniqueInstance.getBucketPrefix(this.owner.peerID, id);
+  }
+
+  /**
+   * The entries of the bucket an ID falls into, least recently seen first.
+   *
+   * @param {string} id - A hex peer or key ID.
+   * @returns {Array} The bucket's entries.
+   */
+  bucketFor(id) {
+    return this.bucket(this.prefixFor(id));
+  }
+
+  /**
+   * The entries of the bucket with a given prefix, least recently seen first.
+   *
+   * @param {number} prefix - The bucket prefix.
+   * @returns {Array} The bucket's entries.
+   */
+  bucket(prefix) {
+    return this.table.filter(entry => entry.prefix === prefix);
+  }
+
+  /**
+   * The prefixes of the buckets holding at least one peer, in ascending order.
+   *
+   * @returns {Array} The bucket prefixes.
+   */
+  prefixes() {
+    return Array.from(new Set(this.table.map(entry => entry.prefix))).sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {number} prefix - The bucket prefix.
+   * @returns {boolean} True if the bucket holds k peers.
+   */
+  isBucketFull(prefix) {
+    return this.bucket(prefix).length >= this.k;
+  }
+
+  /**
+   * @param {string} id - A hex peer ID.
+   * @returns {Object|undefined} The entry of the peer, if it is in the table.
+   */
+  find(id) {
+    return this.table.find(entry => entry.node.peerID === id);
+  }
+
+  /**
+   * @param {Object} entry - A table entry.
+   * @returns {boolean} True if the entry is still in the table.
+   */
+  contains(entry) {
+    return this.table.includes(entry);
+  }
+
+  /**
+   * The `n` entries whose peers are closest to a target ID by XOR distance.
+   *
+   * @param {string} targetID - The hex ID to measure distances against.
+   * @param {number} n - The maximum number of entries to return.
+   * @returns {Array} The closest entries, closest first.
+   */
+  closestPeers(targetID, n) {
+    return this.table.slice()
+      .sort((a, b) => RoutingTable.compareDistance(targetID, a.node.peerID, b.node.peerID))
+      .slice(0, n);
+  }
+
+  /**
+   * Appends a peer that was just seen to its bucket. The caller checks that it fits.
+   *
+   * @param {Object} peerInfo - The peer information object.
+   * @returns {Object} The new entry.
+   */
+  insert(peerInfo) {
+    let now = uniqueInstance.now();
+    let entry = { prefix: this.prefixFor(peerInfo.peerID), node: peerInfo, firstSeen: now, lastSeen: now, missedPings: 0 };
+    this.table.push(entry);
+    this.emit("peer-added", entry);
+    return entry;
+  }
+
+  /**
+   * Marks an entry as the most recently seen peer of its bucket, refreshing its last seen
+   * timestamp and forgiving its missed pings.
+   *
+   * @param {Object} entry - The entry that was just seen.
+   */
+  touch(entry) {
+    entry.lastSeen = uniqueInstance.now();
+    entry.missedPings = 0;
+    this.table = this.table.filter(e => e !== entry);
+    this.table.push(entry);
+  }
+
+  /**
+   * Removes a peer from the table.
+   *
+   * @param {string} id - The hex peer ID.
+   * @returns {Object|undefined} The removed entry, if the peer was in the table.
+   */
+  remove(id) {
+    let entry = this.find(id);
+    if (entry) this.table = this.table.filter(e => e !== entry);
+    return entry;
+  }
+
+  /**
+   * Removes a dead peer from its bucket and promotes the most recently seen peer of the
+   * bucket's replacement cache in its place, if there is one.
+   *
+   * @param {Object} entry - The entry of the dead peer.
+   * @param {Function} admits - Optional, called with a spare peer; the spares it returns
+   *                            false for are passed over and stay in the cache.
+   * @returns {Object|undefined} The entry of the replacement, if there was one.
+   */
+  evict(entry, admits = () => true) {
+    this.table = this.table.filter(e => e !== entry);
+    this.emit("peer-evicted", entry);
+    let cache = this.replacements[entry.prefix] || [];
+    for (let i = cache.length - 1; i >= 0; i--) {
+      if (admits(cache[i])) return this.insert(cache.splice(i, 1)[0]);
+    }
+    return undefined;
+  }
+
+  /**
+   * Keeps a peer that did not fit in a full bucket in that bucket's replacement cache.
+   * The cache holds at most k peers, most recently seen last.
+   *
+   * @param {Object} peerInfo - The spare peer.
+   */
+  addReplacement(peerInfo) {
+    let prefix = this.prefixFor(peerInfo.peerID);
+    let cache = (this.replacements[prefix] || []).filter(peer => peer.peerID !== peerInfo.peerID);
+    cache.push(peerInfo);
+    this.replacements[prefix] = cache.slice(-this.k);
+  }
+
+  /**
+   * Records that a lookup for a target ID just ran through the target's bucket.
+   *
+   * @param {string} targetID - The hex ID that was looked up.
+   */
+  markLookup(targetID) {
+    this.lookups[this.prefixFor(targetID)] = uniqueInstance.now();
+  }
+
+  /**
+   * @param {number} prefix - The bucket prefix.
+   * @returns {number} The time of the last lookup into the bucket, 0 if there was none.
+   */
+  lastLookup(prefix) {
+    return this.lookups[prefix] || 0;
+  }
+}
+
+module.exports = RoutingTable;
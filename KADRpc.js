@@ -0,0 +1,539 @@
+let EventEmitter = require("events");
+let ptpMessage = require("./KADPTP");
+let codec = require("./KADCodec");
+let uniqueInstance = require("./Singleton");
+let { Sessions, SessionError } = require("./KADSession");
+let RateLimiter = require("./KADRateLimiter");
+let log = require("./KADLogger").create("rpc");
+
+const DEFAULT_TIMEOUT = 1000; // Milliseconds to wait for a reply before sending the request again
+const DEFAULT_RETRIES = 2;    // Retries of an unanswered request before giving up on the peer
+const DEFAULT_MAX_MESSAGE_SIZE = 128 * 1024; // Largest packet taken in, above any kadPTP packet
+
+const types = codec.messageTypes;
+
+// The reply each request expects
+const replyTypes = {
+  [types.PING]: types.PONG,
+  [types.FIND_NODE]: types.NODES,
+  [types.FIND_VALUE]: types.VALUE,
+  [types.HANDSHAKE]: types.SESSION,
+};
+
+// Whether a message type is a request, answered with a reply
+function isRequest(msgType) {
+  return msgType !== types.ERROR && !Object.values(replyTypes).includes(msgType);
+}
+
+// The ERROR a peer gets for what is refused, by reason; a connection left idle is closed
+// without one
+const refusals = {
+  rate: { errorCode: codec.errorCodes.RATE_LIMITED, reason: "Too many messages, slow down" },
+  size: { errorCode: codec.errorCodes.TOO_LARGE, reason: "Message too large" },
+  connections: { errorCode: codec.errorCodes.BUSY, reason: "Too many connections open", retryAfter: 1 },
+  idle: null,
+};
+
+// ---------------------------------------------------------------------
+/**
+ * The request/response layer between KADNetworkManager and a transport. Every request
+ * leaves stamped with a fresh transaction ID, which its reply echoes back; the pending
+ * requests wait for their reply by ID. A request left unanswered is sent again after a
+ * timeout, a few times, before the peer is given up on, and one the transport could not
+ * deliver at all fails at once.
+ *
+ * Every packet leaves signed with the owner's identity (kadPTP version 11), and only
+ * signed packets are taken in: the sender's ID is the one its key proves, `packet.senderID`,
+ * never one it claims. A reply must also come from the peer the request went to, when its
+ * ID is known.
+ *
+ * With `options.encrypt`, the requests and messages this peer sends go encrypted (kadPTP
+ * version 12): the first one to a peer is preceded by a handshake setting up a session
+ * with it (see KADSession), and a peer that does not complete it is not talked to at all.
+ * Either way every peer answers handshakes, and replies go encrypted when their request
+ * came encrypted, so plaintext and encrypting peers can share a network.
+ *
+ * Every address gets a token bucket (see KADRateLimiter): packets beyond its rate, and
+ * packets larger than `maxMessageSize`, are refused before they are decoded, and their
+ * sender gets a signed ERROR saying why, once per spell over its rate. Replies, and ERRORs
+ * answering a request, from the peer a request went to are not counted against its rate.
+ * An ERROR received in answer to a request fails the request at once.
+ *
+ * Received packets are decoded here: replies settle their request, malformed, forged and
+ * unsigned packets are dropped, and requests go to `handlers.onRequest(packet, from, reply)`.
+ * Every packet accepted is also emitted as a 'message' event, with the packet and its
+ * sender address.
+ *
+ *   const rpc = new Rpc(owner, transports.create("udp"), handlers);
+ *   const contacts = await rpc.findNode(peer, targetID); // null if the peer did not answer
+ */
+class Rpc extends EventEmitter {
+  /**
+   * @param {Object} owner - The peer information object of the local peer, the sender of
+   *                         every request; its peerID is the identity's.
+   * @param {Object} transport - The transport to talk through; the RPC layer becomes its
+   *                             `handlers`.
+   * @param {Object} handlers - `onRequest(packet, from, reply)`, called with every request
+   *                            received, decoded, and the stream transport handler
+   *                            `greeting()`, passed through.
+   * @param {Object} options - `identity`, the KADIdentity of the owner to sign with, and
+   *                           optional `encrypt`, `timeout` (milliseconds per attempt),
+   *                           `retries`, `rateLimit` and `rateBurst` (see KADRateLimiter),
+   *                           `maxMessageSize` (bytes) and `metrics`, a KADMetrics Registry
+   *                           to count requests, timeouts, latencies and traffic in.
+   */
+  constructor(owner, transport, handlers = {}, options = {}) {
+    super();
+    if (!options.identity) throw new Error("The RPC layer needs the identity of its owner to sign with");
+    if (options.identity.id !== owner.peerID) {
+      throw new Error(`The owner's ID ${owner.peerID} is not the one of its identity, ${options.identity.id}`);
+    }
+    this.owner = owner;
+    this.identity = options.identity;
+    this.transport = transport;
+    this.handlers = handlers;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+    this.encrypt = Boolean(options.encrypt);
+    this.pending = new Map(); // Transaction ID -> { peer, replyType, finish }
+    this.sessions = new Sessions();
+    this.handshakes = new Map(); // "host:port" -> handshake in progress with the peer there
+    this.limiter = new RateLimiter({ rate: options.rateLimit, burst: options.rateBurst });
+    this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    this.metrics = options.metrics ? rpcMetrics(options.metrics, this) : null;
+    this.closed = false; // Set by close(), after which nothing is sent
+    this.lastTransactionID = Math.floor(Math.random() * 0xffffffff); // Each RPC layer counts on from its own random start
+
+    transport.handlers = {
+      greeting: handlers.greeting && (() => codec.sign(this.greeting(handlers.greeting), this.identity)),
+      onPacket: (data, from, reply) => this.receive(data, from, reply),
+      onGreeting: (data, from) => {
+        if (codec.peekType(data) === types.ERROR) this.receive(data, from, () => {}); // A connection refused
+      },
+      refuse: (from, reason) => this.refusal(from, reason),
+    };
+  }
+
+  /**
+   * Checks whether a peer is alive.
+   *
+   * @param {Object} peer - The peer information object of the peer to ping.
+   * @returns {Promise<boolean>} True if the peer answered with a 'pong'.
+   */
+  async ping(peer) {
+    ptpMessage.init(9, types.PING, { owner: this.owner, table: [] });
+    return (await this.call(peer, ptpMessage.getPacket())) !== null;
+  }
+
+  /**
+   * Pings a peer known only by its address, e.g. a seed, to learn who it is.
+   *
+   * @param {Object} peer - The `peerIP` and `peerPort` of the peer, and optionally its `peerName`.
+   * @returns {Promise<Object|null>} The peer information object of the peer, with the ID its
+   *                                 key proves, or null if it did not answer.
+   */
+  async identify(peer) {
+    ptpMessage.init(9, types.PING, { owner: this.owner, table: [] });
+    let reply = await this.call(peer, ptpMessage.getPacket());
+    if (!reply) return null;
+    return { peerName: reply.senderName || peer.peerName || "", peerIP: peer.peerIP, peerPort: peer.peerPort, peerID: reply.senderID };
+  }
+
+  /**
+   * Asks a peer for the contacts it knows closest to a target ID. The request carries the
+   * local peer's contact, so that the peer can learn about it.
+   *
+   * @param {Object} peer - The peer information object of the peer to ask.
+   * @param {string} targetID - The hex ID to look for.
+   * @returns {Promise<Array|null>} The contacts returned, or null if the peer did not answer.
+   */
+  async findNode(peer, targetID) {
+    ptpMessage.init(9, types.FIND_NODE, { owner: this.owner, table: [{ prefix: null, node: this.owner }] }, { key: targetID });
+    let reply = await this.call(peer, ptpMessage.getPacket());
+    return reply ? reply.peersList : null;
+  }
+
+  /**
+   * Asks a peer for the value stored under a key, or else the contacts it knows closest
+   * to the key.
+   *
+   * @param {Object} peer - The peer information object of the peer to ask.
+   * @param {string} keyID - The hashed key.
+   * @returns {Promise<Object|null>} `{ value, peers }`, value being null when the peer does
+   *                                 not hold it, or null if the peer did not answer.
+   */
+  async findValue(peer, keyID) {
+    ptpMessage.init(9, types.FIND_VALUE, { owner: this.owner, table: [{ prefix: null, node: this.owner }] }, { key: keyID });
+    let reply = await this.call(peer, ptpMessage.getPacket());
+    if (!reply) return null;
+    return { value: reply.value.length > 0 ? reply.value : null, peers: reply.peersList };
+  }
+
+  /**
+   * Sends a key/value pair to a peer for it to store. Stores are not acknowledged.
+   *
+   * @param {Object} peer - The peer information object of the peer to send the pair to.
+   * @param {string} keyID - The hashed key.
+   * @param {string} value - The value.
+   * @returns {Promise<boolean>} True once sent, false if it could not be delivered.
+   */
+  store(peer, keyID, value) {
+    ptpMessage.init(9, types.STORE, { owner: this.owner, table: [] }, { key: keyID, value: value });
+    return this.notify(peer, ptpMessage.getPacket());
+  }
+
+  /**
+   * Greets a peer with a 'hello' message carrying the local peer's contact, first, and
+   * the peers of a DHT, so that the peer can learn about both.
+   *
+   * @param {Object} peer - The peer information object of the peer to greet.
+   * @param {Object} dht - The DHT whose peers the message carries.
+   * @returns {Promise<boolean>} True once sent, false if it could not be delivered.
+   */
+  hello(peer, dht) {
+    ptpMessage.init(9, types.HELLO, { owner: this.owner, table: [{ prefix: null, node: this.owner }].concat(dht.table) });
+    return this.notify(peer, ptpMessage.getPacket());
+  }
+
+  /**
+   * Sends a request and waits for its reply, retrying as configured.
+   *
+   * @param {Object} peer - The peer information object of the peer to ask.
+   * @param {Buffer} packet - The unsigned kadPTP request; it is sent under a new
+   *                          transaction ID, signed, and encrypted if the peer encrypts.
+   * @returns {Promise<Object|null>} The decoded reply, or null if the peer could not be
+   *                                 reached or did not answer in time, or the layer is closed.
+   */
+  async call(peer, packet) {
+    if (this.closed) return null;
+    let session = null;
+    if (this.encrypt) {
+      session = await this.sessionWith(peer);
+      if (!session) return null;
+    }
+    return this.exchange(peer, packet, session);
+  }
+
+  /**
+   * The session to send to a peer through, set up with a handshake unless there is one
+   * already. Concurrent requests to the same peer share the handshake.
+   *
+   * @param {Object} peer - The peer information object of the peer.
+   * @returns {Promise<Object|null>} The session, or null if the handshake failed.
+   */
+  sessionWith(peer) {
+    let session = this.sessions.forPeer(peer);
+    if (session) return Promise.resolve(session);
+    let address = `${peer.peerIP}:${peer.peerPort}`;
+    if (!this.handshakes.has(address)) {
+      this.handshakes.set(address, this.handshake(peer).finally(() => this.handshakes.delete(address)));
+    }
+    return this.handshakes.get(address);
+  }
+
+  // Offers a peer a session and sets it up from the peer's reply
+  async handshake(peer) {
+    let keyPair = Sessions.keyPair();
+    ptpMessage.init(9, types.HANDSHAKE, { owner: this.owner, table: [] }, { sessionKey: keyPair.publicKey });
+    let reply = await this.exchange(peer, ptpMessage.getPacket(), null);
+    let session = reply && this.sessions.establish(keyPair, reply.sessionKey, reply.senderID, true);
+    if (!session) {
+      if (this.metrics) this.metrics.handshakes.inc({ role: "initiator", result: "failed" });
+      log.warn("handshake-failed", "No encrypted session with {address}, not talking to it", { address: `${peer.peerIP}:${peer.peerPort}` });
+      return null;
+    }
+    if (this.metrics) this.metrics.handshakes.inc({ role: "initiator", result: "done" });
+    this.sessions.bind(peer, session);
+    return session;
+  }
+
+  // Sends a request through a session, or in plaintext without one, and waits for its reply
+  exchange(peer, packet, session) {
+    if (this.closed) return Promise.resolve(null); // Closed during a handshake
+    return new Promise(resolve => {
+      let id = this.nextTransactionID();
+      let stamped = codec.sign(codec.withTransactionID(packet, id), this.identity);
+      let wire = session ? this.sessions.seal(session, stamped) : stamped;
+      let msgType = codec.peekType(packet);
+      let type = { type: codec.typeName(msgType) };
+      let attempts = 0;
+      let timer = null;
+      let sentAt = uniqueInstance.now();
+      let request = {
+        peer: peer,
+        replyType: replyTypes[msgType],
+        finish: (reply, failure) => {
+          if (this.pending.get(id) !== request) return;
+          clearTimeout(timer);
+          this.pending.delete(id);
+          if (this.metrics) {
+            if (reply) this.metrics.latency.observe(type, (uniqueInstance.now() - sentAt) / 1000);
+            if (failure) this.metrics[failure].inc(type);
+          }
+          if (failure && session) this.sessions.forget(peer); // The peer may have lost it
+          resolve(reply);
+        },
+      };
+      this.pending.set(id, request);
+
+      let attempt = () => {
+        if (attempts++ > this.retries) {
+          request.finish(null, "timeouts");
+          return;
+        }
+        if (this.metrics) this.metrics[attempts === 1 ? "requests" : "retries"].inc(type);
+        this.count(wire, msgType);
+        this.transport.send(peer, wire, { expectReply: true }, (err) => {
+          if (err) request.finish(null, "failures"); // Unreachable, no point in waiting
+        });
+        timer = setTimeout(attempt, this.timeout);
+      };
+      attempt();
+    });
+  }
+
+  /**
+   * Sends a message that gets no reply. It is not retried.
+   *
+   * @param {Object} peer - The peer information object of the peer to contact.
+   * @param {Buffer} packet - The unsigned kadPTP message; it is sent signed, and encrypted
+   *                          if the peer encrypts.
+   * @param {Object} options - Transport options.
+   * @returns {Promise<boolean>} True once sent, false if it could not be delivered or the
+   *                             layer is closed.
+   */
+  async notify(peer, packet, options = {}) {
+    if (this.closed) return false;
+    let wire = codec.sign(packet, this.identity);
+    if (this.encrypt) {
+      let session = await this.sessionWith(peer);
+      if (!session || this.closed) return false;
+      wire = this.sessions.seal(session, wire);
+    }
+    this.count(wire, codec.peekType(packet));
+    return new Promise(resolve => this.transport.send(peer, wire, options, (err) => resolve(!err)));
+  }
+
+  /**
+   * Fails every pending request and closes the transport. Requests and messages sent
+   * afterwards fail at once, so the lookups still running end without sending anything.
+   *
+   * @param {Function} callback - Optional, called once the transport is closed.
+   */
+  close(callback) {
+    this.closed = true;
+    Array.from(this.pending.values()).forEach(request => request.finish(null));
+    this.transport.close(callback);
+  }
+
+  // The greeting of stream connections; an encrypting peer does not give its peers away in
+  // the clear, so its greeting carries none
+  greeting(build) {
+    if (!this.encrypt) return build();
+    ptpMessage.init(9, types.WELCOME, { owner: this.owner, table: [] });
+    return ptpMessage.getPacket();
+  }
+
+  // Answers a handshake: a session is set up and the other half of its key sent back
+  acceptHandshake(packet, respond) {
+    let keyPair = Sessions.keyPair();
+    let session = this.sessions.establish(keyPair, packet.sessionKey, packet.senderID, false);
+    if (this.metrics) this.metrics.handshakes.inc({ role: "responder", result: session ? "done" : "failed" });
+    if (!session) {
+      log.warn("handshake-invalid", "Refusing the session offered by peer {peer}, its key is not usable", { peer: packet.senderID });
+      return;
+    }
+    ptpMessage.init(9, types.SESSION, { owner: this.owner, table: [] }, { sessionKey: keyPair.publicKey });
+    respond(ptpMessage.getPacket());
+  }
+
+  // Counts a packet or connection refused, and builds the signed ERROR telling its sender
+  // why, echoing the transaction ID of the packet if it can be read and the packet is a
+  // request: the ID of a reply or an ERROR is the sender's own, and echoing it could fail
+  // an unrelated request of the sender's. Returns null when the
+  // sender is not told: a connection left idle, or an address told it is over its rate
+  // since it last got a message through
+  refusal(from, reason, data) {
+    if (this.metrics) this.metrics.rejections.inc({ reason: reason });
+    let address = `${from.address}:${from.port}`;
+    let refusal = refusals[reason];
+    if (!refusal) {
+      log.debug("connection-idle", "Closing the idle connection from {address}", { address: address });
+      return null;
+    }
+    let retryAfter = refusal.retryAfter || 0;
+    if (reason === "rate") {
+      if (!this.limiter.tell(from.address)) return null;
+      retryAfter = Math.ceil(this.limiter.retryAfter(from.address) / 1000);
+    }
+    log.warn("peer-refused", "Refusing {what} from {address}: {reason}", { what: data ? "a message" : "a connection", address: address, reason: refusal.reason, limit: reason });
+
+    ptpMessage.init(9, types.ERROR, { owner: this.owner, table: [] }, { errorCode: refusal.errorCode, retryAfter: retryAfter, reason: refusal.reason });
+    let packet = ptpMessage.getPacket();
+    let transactionID = data && isRequest(codec.peekType(data)) ? codec.peekTransactionID(data) : 0;
+    if (transactionID) packet = codec.withTransactionID(packet, transactionID);
+    let signed = codec.sign(packet, this.identity);
+    this.count(signed, types.ERROR);
+    return signed;
+  }
+
+  // A peer refused a packet of ours: the request it echoes the transaction ID of, if any
+  // and if it went to that peer, fails at once
+  refused(packet, from) {
+    log.info("request-refused", "Peer {address} refused our message: {reason}", { address: `${from.address}:${from.port}`, reason: packet.reason, code: packet.errorCode, retryAfter: packet.retryAfter });
+    let request = this.answered(packet, from);
+    if (request) request.finish(null, "refusals");
+  }
+
+  // Counts a packet sent, by type
+  count(packet, msgType) {
+    if (!this.metrics) return;
+    let type = { type: codec.typeName(msgType) };
+    this.metrics.messagesSent.inc(type);
+    this.metrics.bytesSent.inc(type, packet.length);
+  }
+
+  // A transaction ID no pending request uses; 0 stands for none
+  nextTransactionID() {
+    let id = 0;
+    while (id === 0 || this.pending.has(id)) id = this.lastTransactionID = (this.lastTransactionID + 1) >>> 0;
+    return id;
+  }
+
+  // Whether a request is waiting on a reply from an address
+  awaiting(address) {
+    return Array.from(this.pending.values()).some(request => request.peer.peerIP === address);
+  }
+
+  // The pending request a packet answers, with its reply or an ERROR, if it comes from the
+  // peer the request went to
+  answered(packet, from) {
+    let request = this.pending.get(packet.transactionID);
+    if (!request || (packet.msgType !== request.replyType && packet.msgType !== types.ERROR)) return null;
+    if (request.peer.peerIP !== from.address) return null;
+    if (request.peer.peerID && request.peer.peerID !== packet.senderID) return null; // Another peer now on that address
+    return request;
+  }
+
+  // Opens a received packet, decrypting it if it came through a session, and decodes it.
+  // Returns null when it is dropped: undecryptable, malformed, forged or unsigned
+  open(data, address) {
+    let session = null;
+    if (codec.peekVersion(data) === codec.ENCRYPTED_VERSION) {
+      try {
+        ({ session, packet: data } = this.sessions.open(data));
+      } catch (err) {
+        if (!(err instanceof SessionError)) throw err;
+        if (this.metrics) this.metrics.undecryptable.inc();
+        log.warn("message-undecryptable", "Dropping encrypted message from {address}: {error}", { address: address, error: err.message });
+        return null;
+      }
+    }
+
+    let packet;
+    try {
+      packet = codec.decode(data);
+    } catch (err) {
+      if (!(err instanceof codec.KADPTPError)) throw err;
+      if (err instanceof codec.BadSignature) {
+        if (this.metrics) this.metrics.forged.inc();
+        log.warn("message-forged", "Dropping message from {address} with a bad signature", { address: address });
+      } else {
+        if (this.metrics) this.metrics.malformed.inc();
+        log.warn("message-malformed", "Dropping malformed message from {address}: {error}", { address: address, error: err.message });
+      }
+      return null;
+    }
+    if (!packet.senderID) {
+      if (this.metrics) this.metrics.unsigned.inc();
+      log.warn("message-unsigned", "Dropping unsigned version {version} message from {address}", { address: address, version: packet.version });
+      return null;
+    }
+    if (session && packet.senderID !== session.peerID) {
+      if (this.metrics) this.metrics.forged.inc();
+      log.warn("message-forged", "Dropping message from {address} signed by peer {peer}, not the one of its session", { address: address, peer: packet.senderID });
+      return null;
+    }
+    return { session: session, data: data, packet: packet };
+  }
+
+  // Handles every packet the transport receives: a reply must answer a pending request and
+  // come from the address the request went to, anything else is handed over as a request.
+  // The port is not checked, a large reply to a datagram coming over TCP from another one.
+  // An address a request is waiting on only has its packets counted against its rate once
+  // they are decoded, so that the replies to this peer's own requests are not
+  receive(data, from, reply) {
+    let address = `${from.address}:${from.port}`;
+    let size = data.length;
+    let awaited = this.awaiting(from.address);
+    let limit = !awaited && !this.limiter.take(from.address) ? "rate" : size > this.maxMessageSize ? "size" : null;
+    if (limit) {
+      let refusal = this.refusal(from, limit, data);
+      if (refusal) reply(refusal);
+      return;
+    }
+    let opened = this.open(data, address);
+    if (awaited && !(opened && this.answered(opened.packet, from)) && !this.limiter.take(from.address)) {
+      let refusal = this.refusal(from, "rate", opened ? opened.data : data);
+      if (refusal) reply(refusal);
+      return;
+    }
+    if (!opened) return;
+    let { session, packet } = opened;
+    if (this.metrics) {
+      let type = { type: codec.typeName(packet.msgType) };
+      this.metrics.messagesReceived.inc(type);
+      this.metrics.bytesReceived.inc(type, size);
+    }
+    this.emit("message", packet, from);
+
+    if (packet.msgType === types.ERROR) {
+      this.refused(packet, from);
+      return;
+    }
+
+    if (Object.values(replyTypes).includes(packet.msgType)) {
+      let request = this.answered(packet, from);
+      if (request) request.finish(packet); // Otherwise late, or not ours
+      return;
+    }
+
+    // Replies are signed, and go back through the session the request came in
+    let respond = (answer) => {
+      let signed = codec.sign(codec.withTransactionID(answer, packet.transactionID), this.identity);
+      reply(session ? this.sessions.seal(session, signed) : signed);
+    };
+    if (packet.msgType === types.HANDSHAKE) {
+      this.acceptHandshake(packet, respond);
+    } else if (this.handlers.onRequest) {
+      this.handlers.onRequest(packet, from, respond);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------
+
+// The metrics of an RPC layer, registered in a KADMetrics Registry
+function rpcMetrics(registry, rpc) {
+  registry.gauge("kad_sessions", "Encrypted sessions open", [], (gauge) => gauge.set(rpc.sessions.size));
+  return {
+    requests: registry.counter("kad_rpc_requests_total", "Requests sent, retries excluded", ["type"]),
+    retries: registry.counter("kad_rpc_retries_total", "Requests sent again after a timeout", ["type"]),
+    timeouts: registry.counter("kad_rpc_timeouts_total", "Requests given up on after their last retry", ["type"]),
+    failures: registry.counter("kad_rpc_failures_total", "Requests the transport could not deliver", ["type"]),
+    latency: registry.histogram("kad_rpc_latency_seconds", "Time from a request to its reply, retries included", ["type"]),
+    messagesSent: registry.counter("kad_messages_sent_total", "kadPTP messages sent", ["type"]),
+    bytesSent: registry.counter("kad_bytes_sent_total", "Bytes of kadPTP messages sent", ["type"]),
+    messagesReceived: registry.counter("kad_messages_received_total", "kadPTP messages received", ["type"]),
+    bytesReceived: registry.counter("kad_bytes_received_total", "Bytes of kadPTP messages received", ["type"]),
+    malformed: registry.counter("kad_messages_malformed_total", "Malformed packets dropped"),
+    forged: registry.counter("kad_messages_forged_total", "Packets dropped because their signature did not match"),
+    unsigned: registry.counter("kad_messages_unsigned_total", "Unsigned packets of older kadPTP versions dropped"),
+    undecryptable: registry.counter("kad_messages_undecryptable_total", "Encrypted packets dropped, their session unknown or their content altered"),
+    handshakes: registry.counter("kad_handshakes_total", "Encrypted session handshakes, as initiator or responder", ["role", "result"]),
+    refusals: registry.counter("kad_rpc_refusals_total", "Requests the peer refused with an ERROR", ["type"]),
+    rejections: registry.counter("kad_rejections_total", "Packets and connections refused, by reason: rate, size, connections or idle", ["reason"]),
+  };
+}
+
+module.exports = Rpc;
@@ -0,0 +1,106 @@
+let handler = require("./KADNetworkManager");
+let uniqueInstance = require("./Singleton");
+let logger = require("./KADLogger");
+
+let bucketLog = logger.create("bucket");
+let storeLog = logger.create("store");
+
+const HOUR = 60 * 60 * 1000;
+
+// Default intervals in milliseconds
+const defaults = {
+  tickInterval: 10 * 1000,   // How often the scheduler checks for due work
+  refreshInterval: HOUR,     // A bucket without a lookup for this long is refreshed
+  republishInterval: HOUR,   // Values published by this peer are republished this often
+  expireAfter: 24 * HOUR,    // Values received from other peers are dropped this long after their last store
+};
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  defaults: defaults,
+
+  /**
+   * Creates the scheduler of a peer's periodic Kademlia maintenance: liveness sweeps, 
+   * bucket refreshes, value republishing and value expiry. Time is read from 
+   * `Singleton.now()`, so tests can swap in a fake clock with `Singleton.setClock` and 
+   * drive the scheduler by calling `tick()` themselves instead of `start()`.
+   *
+   * @param {Object} dht - The local peer's Kademlia DHT.
+   * @param {Object} options - Optional overrides of the `defaults` intervals.
+   * @returns {Object} The scheduler, with `start()`, `stop()` and `tick()`.
+   */
+  createScheduler: createScheduler
+};
+
+// ---------------------------------------------------------------------
+function createScheduler(dht, options) {
+  let intervals = Object.assign({}, defaults, options);
+  let startedAt = uniqueInstance.now();
+  let timer = null;
+
+  function tick() {
+    /**
+     * Runs every maintenance task that is due at the current time of the clock.
+     */
+    let now = uniqueInstance.now();
+    handler.sweepLiveness(dht);
+    refreshBuckets(dht, now);
+    republishValues(dht, now);
+    expireValues(dht, now);
+  }
+
+  function refreshBuckets(dht, now) {
+    /**
+     * Looks up a random ID in every non-empty bucket that has not seen a lookup within the 
+     * refresh interval. The lookup itself records the bucket as refreshed.
+     */
+    dht.prefixes().forEach(prefix => {
+      let lastLookup = Math.max(dht.lastLookup(prefix), startedAt);
+      if (now - lastLookup >= intervals.refreshInterval) {
+        let randomID = uniqueInstance.getRandomIDInBucket(dht.owner.peerID, prefix);
+        bucketLog.info("bucket-refresh", "Refreshing bucket P{bucket} with a lookup of {target}", { bucket: prefix, target: randomID });
+        handler.findNode(dht, randomID, () => {});
+      }
+    });
+  }
+
+  function republishValues(dht, now) {
+    /**
+     * Republishes the values this peer published once the republish interval has passed.
+     */
+    Object.keys(dht.store).forEach(keyID => {
+      let stored = dht.store[keyID];
+      if (stored.original && now - (stored.publishedAt || 0) >= intervals.republishInterval) {
+        storeLog.info("value-republished", "Republishing value for key {key}", { key: keyID });
+        handler.republishValue(dht, keyID);
+      }
+    });
+  }
+
+  function expireValues(dht, now) {
+    /**
+     * Drops the values received from other peers that have not been stored again within 
+     * the expiry time.
+     */
+    Object.keys(dht.store).forEach(keyID => {
+      let stored = dht.store[keyID];
+      if (!stored.original && now - stored.storedAt >= intervals.expireAfter) {
+        delete dht.store[keyID];
+        storeLog.info("value-expired", "Value for key {key} expired", { key: keyID });
+      }
+    });
+  }
+
+  return {
+    tick: tick,
+
+    start: function () {
+      if (timer === null) timer = setInterval(tick, intervals.tickInterval);
+    },
+
+    stop: function () {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
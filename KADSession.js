@@ -0,0 +1,198 @@
+// Encrypted kadPTP sessions. Two peers agree on a session with a HANDSHAKE/SESSION
+// exchange of ephemeral X25519 public keys; both messages are signed (version 11), which
+// binds the keys to the peers' identities. The X25519 shared secret goes through HKDF
+// (SHA-256) into the session's ChaCha20-Poly1305 key and ID, the same on both sides.
+//
+// Envelope layout (version 12):
+//   Header (4 bytes): version (4 bits), the rest zeroed out
+//   Session ID (8 bytes)
+//   Nonce (12 bytes), random
+//   Ciphertext: a whole signed (version 11) packet, sender name and peers included
+//   Authentication tag (16 bytes), which also covers the header and session ID
+
+const crypto = require("crypto");
+const codec = require("./KADCodec");
+const uniqueInstance = require("./Singleton");
+
+const CIPHER = "chacha20-poly1305";
+const HEADER_SIZE = 4;
+const SESSION_ID_SIZE = 8;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const KEY_SIZE = 32;
+const OVERHEAD = HEADER_SIZE + SESSION_ID_SIZE + NONCE_SIZE + TAG_SIZE;
+
+// Default limits of a session table
+const defaults = {
+  lifetime: 60 * 60 * 1000, // Milliseconds a session is used for before a new handshake
+  maxSessions: 1024,        // Sessions kept at most; the oldest go first
+};
+
+// An envelope that cannot be opened: its session is unknown or expired, or it was altered
+class SessionError extends codec.KADPTPError {}
+
+// ---------------------------------------------------------------------
+/**
+ * The encrypted sessions of a peer, by session ID and, for the sessions it set up itself,
+ * by the address of the other peer. Every session is `{ id, key, peerID, createdAt }`,
+ * `peerID` being the ID the other peer proved in the handshake.
+ *
+ *   const keyPair = Sessions.keyPair();  // Sent in a HANDSHAKE
+ *   const session = sessions.establish(keyPair, reply.sessionKey, reply.senderID, true);
+ *   const envelope = sessions.seal(session, signedPacket);
+ *   sessions.open(envelope);             // { session, packet: signedPacket }, on the other side
+ */
+class Sessions {
+  /**
+   * @param {Object} options - Optional overrides of the `defaults` limits.
+   */
+  constructor(options = {}) {
+    this.lifetime = options.lifetime || defaults.lifetime;
+    this.maxSessions = options.maxSessions || defaults.maxSessions;
+    this.byID = new Map();   // Session ID -> session, oldest first
+    this.byPeer = new Map(); // "host:port" -> session set up with the peer there
+  }
+
+  /**
+   * @returns {Object} A new ephemeral X25519 keypair, `{ privateKey, publicKey }`, the
+   *                   public key raw, as HANDSHAKE and SESSION messages carry it.
+   */
+  static keyPair() {
+    let { privateKey, publicKey } = crypto.generateKeyPairSync("x25519");
+    return { privateKey: privateKey, publicKey: Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url") };
+  }
+
+  /**
+   * The number of sessions open.
+   */
+  get size() {
+    return this.byID.size;
+  }
+
+  /**
+   * Derives a session from the local ephemeral keypair and the other peer's public key,
+   * and keeps it.
+   *
+   * @param {Object} keyPair - The local keypair, from `keyPair()`.
+   * @param {Buffer} peerPublicKey - The other peer's raw X25519 public key.
+   * @param {string} peerID - The ID the other peer proved with its signature.
+   * @param {boolean} initiator - True on the side that sent the HANDSHAKE.
+   * @returns {Object|null} The session, or null if the public key is not a usable one.
+   */
+  establish(keyPair, peerPublicKey, peerID, initiator) {
+    let shared;
+    try {
+      let publicKey = crypto.createPublicKey({ key: { kty: "OKP", crv: "X25519", x: peerPublicKey.toString("base64url") }, format: "jwk" });
+      shared = crypto.diffieHellman({ privateKey: keyPair.privateKey, publicKey: publicKey });
+    } catch (err) {
+      return null; // Not a point of the curve, or one of small order
+    }
+    let salt = initiator ? Buffer.concat([keyPair.publicKey, peerPublicKey]) : Buffer.concat([peerPublicKey, keyPair.publicKey]);
+    let material = Buffer.from(crypto.hkdfSync("sha256", shared, salt, "kadPTP session", KEY_SIZE + SESSION_ID_SIZE));
+    let session = {
+      id: material.slice(KEY_SIZE).toString("hex"),
+      key: material.slice(0, KEY_SIZE),
+      peerID: peerID,
+      createdAt: uniqueInstance.now(),
+    };
+
+    this.byID.set(session.id, session);
+    while (this.byID.size > this.maxSessions) this.byID.delete(this.byID.keys().next().value);
+    return session;
+  }
+
+  /**
+   * Records a session as the one to reach a peer through.
+   *
+   * @param {Object} peer - The peer information object of the peer.
+   * @param {Object} session - The session set up with it.
+   */
+  bind(peer, session) {
+    this.byPeer.set(address(peer), session);
+  }
+
+  /**
+   * @param {Object} peer - The peer information object of a peer; its peerID, when known,
+   *                        must be the one proved in the handshake.
+   * @returns {Object|null} The session to reach the peer through, null if there is none
+   *                        still in use.
+   */
+  forPeer(peer) {
+    let session = this.byPeer.get(address(peer));
+    if (!session || this.byID.get(session.id) !== session || !this.usable(session)) return null;
+    if (peer.peerID && peer.peerID !== session.peerID) return null;
+    return session;
+  }
+
+  /**
+   * Drops the session set up with a peer, e.g. when it stopped answering through it.
+   *
+   * @param {Object} peer - The peer information object of the peer.
+   */
+  forget(peer) {
+    let session = this.byPeer.get(address(peer));
+    if (!session) return;
+    this.byPeer.delete(address(peer));
+    this.byID.delete(session.id);
+  }
+
+  /**
+   * @param {Object} session - The session to send through.
+   * @param {Buffer} packet - A signed kadPTP packet.
+   * @returns {Buffer} The packet in a version 12 envelope.
+   */
+  seal(session, packet) {
+    let header = Buffer.alloc(HEADER_SIZE + SESSION_ID_SIZE);
+    header[0] = codec.ENCRYPTED_VERSION << 4;
+    Buffer.from(session.id, "hex").copy(header, HEADER_SIZE);
+    let nonce = crypto.randomBytes(NONCE_SIZE);
+    let cipher = crypto.createCipheriv(CIPHER, session.key, nonce, { authTagLength: TAG_SIZE });
+    cipher.setAAD(header);
+    return Buffer.concat([header, nonce, cipher.update(packet), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  /**
+   * Opens a version 12 envelope.
+   *
+   * @param {Buffer} data - The envelope received.
+   * @returns {Object} `{ session, packet }`, the packet being the signed one inside.
+   * @throws {SessionError} If the session is unknown or expired, or the envelope altered.
+   */
+  open(data) {
+    if (data.length < OVERHEAD) throw new SessionError(`Encrypted packet of ${data.length} bytes, shorter than its envelope`);
+    let header = data.slice(0, HEADER_SIZE + SESSION_ID_SIZE);
+    let session = this.byID.get(header.slice(HEADER_SIZE).toString("hex"));
+    if (!session || !this.usable(session)) throw new SessionError("Encrypted packet for an unknown or expired session");
+
+    let nonce = data.slice(header.length, header.length + NONCE_SIZE);
+    let decipher = crypto.createDecipheriv(CIPHER, session.key, nonce, { authTagLength: TAG_SIZE });
+    decipher.setAAD(header);
+    decipher.setAuthTag(data.slice(data.length - TAG_SIZE));
+    try {
+      let packet = Buffer.concat([decipher.update(data.slice(header.length + NONCE_SIZE, data.length - TAG_SIZE)), decipher.final()]);
+      return { session: session, packet: packet };
+    } catch (err) {
+      throw new SessionError("Encrypted packet altered, or not sealed with its session's key");
+    }
+  }
+
+  // Whether a session is still in use; an expired one is dropped
+  usable(session) {
+    if (uniqueInstance.now() - session.createdAt < this.lifetime) return true;
+    this.byID.delete(session.id);
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------
+
+function address(peer) {
+  return `${peer.peerIP}:${peer.peerPort}`;
+}
+
+module.exports = {
+  Sessions: Sessions,
+  SessionError: SessionError,
+  defaults: defaults,
+  OVERHEAD: OVERHEAD,
+};
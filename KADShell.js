@@ -0,0 +1,186 @@
+let readline = require("readline");
+let uniqueInstance = require("./Singleton");
+
+// The shell commands: usage and description, shown by `help`
+const commands = {
+  "table":  { usage: "table", help: "show the routing table, bucket by bucket" },
+  "peers":  { usage: "peers [--bucket N]", help: "list the known peers, or those of bucket N" },
+  "lookup": { usage: "lookup <id>", help: "find the peers closest to a hex ID" },
+  "put":    { usage: "put <key> <value>", help: "publish a key/value pair" },
+  "get":    { usage: "get <key>", help: "look up the value of a key" },
+  "ping":   { usage: "ping <ip:port|id>", help: "check whether a peer is alive" },
+  "stats":  { usage: "stats", help: "show the node's statistics" },
+  "help":   { usage: "help", help: "list the commands" },
+  "exit":   { usage: "exit", help: "stop the peer and leave" },
+};
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  commands: commands,
+
+  /**
+   * Creates an interactive shell for a running KademliaNode, to poke the network by hand:
+   * it reads commands line by line from `input` and writes what they return to `output`.
+   * Tests can call `execute(line)` directly instead of `start()`.
+   *
+   * @param {KademliaNode} node - The node to drive.
+   * @param {Object} options - Optional `input` and `output` streams (stdin and stdout by
+   *                           default), `prompt`, and `onExit()`, called when the shell is
+   *                           left with `exit` or the end of the input.
+   * @returns {Object} The shell, with `start()`, `stop()` and `execute(line)`, the latter
+   *                   resolving with the command's output.
+   */
+  createShell: createShell
+};
+
+// ---------------------------------------------------------------------
+function createShell(node, options = {}) {
+  let prompt = options.prompt || "kad> ";
+  let rl = null;
+
+  function start() {
+    /**
+     * Starts reading commands. Commands run one at a time, in the order they are typed.
+     */
+    let output = options.output || process.stdout;
+    let closed = false;
+    let queue = Promise.resolve();
+    rl = readline.createInterface({ input: options.input || process.stdin, output: output, prompt: prompt });
+    rl.on("line", (line) => {
+      queue = queue.then(() => execute(line)).then((text) => {
+        if (text === null) {
+          stop();
+          return;
+        }
+        if (text) output.write(text + "\n");
+        if (!closed) rl.prompt();
+      });
+    });
+    // The input may end with commands still running, e.g. when piped in
+    rl.on("close", () => {
+      closed = true;
+      rl = null;
+      queue.then(() => {
+        if (options.onExit) options.onExit();
+      });
+    });
+    rl.prompt();
+  }
+
+  function stop() {
+    /**
+     * Stops reading commands.
+     */
+    if (rl) rl.close();
+  }
+
+  async function execute(line) {
+    /**
+     * Runs one command line.
+     *
+     * @param {string} line - The command and its arguments, separated by spaces.
+     * @returns {Promise<string|null>} The output of the command, or null for `exit`.
+     */
+    let [name, ...args] = line.trim().split(/\s+/);
+    if (!name) return "";
+    if (!commands[name]) return `Unknown command ${name}, type help for the list`;
+    try {
+      switch (name) {
+        case "table": return showTable();
+        case "peers": return showPeers(args);
+        case "lookup": return await lookup(args);
+        case "put": return await put(args);
+        case "get": return await get(args);
+        case "ping": return await ping(args);
+        case "stats": return showStats();
+        case "help": return showHelp();
+        case "exit": return null;
+      }
+    } catch (err) {
+      return `Error: ${err.message}`;
+    }
+  }
+
+  function showTable() {
+    let dht = node.running();
+    let lines = [`Routing table of ${dht.owner.peerName} ${dht.owner.peerIP}:${dht.owner.peerPort} [${dht.owner.peerID}]`];
+    if (dht.size === 0) return lines.concat("  (empty)").join("\n");
+    dht.prefixes().forEach(prefix => {
+      let spares = (dht.replacements[prefix] || []).length;
+      lines.push(`  Bucket P${prefix}: ${dht.bucket(prefix).length}/${dht.k} peers, ${spares} spare`);
+      dht.bucket(prefix).forEach(entry => lines.push("    " + describeEntry(entry)));
+    });
+    return lines.join("\n");
+  }
+
+  function showPeers(args) {
+    let dht = node.running();
+    let entries = Array.from(dht);
+    if (args.length > 0) {
+      if (args[0] !== "--bucket" || !/^\d+$/.test(args[1] || "")) throw new Error(`Usage: ${commands.peers.usage}`);
+      entries = dht.bucket(Number(args[1]));
+    }
+    if (entries.length === 0) return "No peers";
+    return entries.map(entry => `P${entry.prefix}`.padEnd(5) + describeEntry(entry)).join("\n");
+  }
+
+  async function lookup(args) {
+    let id = (args[0] || "").toLowerCase();
+    let width = uniqueInstance.getIDBytes() * 2;
+    if (!new RegExp(`^[0-9a-f]{${width}}$`).test(id)) throw new Error(`Expected an ID of ${width} hex digits`);
+    let peers = await node.findNode(id);
+    if (peers.length === 0) return "No peer found";
+    return peers.map(peer => `${peer.peerIP}:${peer.peerPort}`.padEnd(22) + peer.peerID).join("\n");
+  }
+
+  async function put(args) {
+    if (args.length < 2) throw new Error(`Usage: ${commands.put.usage}`);
+    let peers = await node.put(args[0], args.slice(1).join(" "));
+    return `Stored ${args[0]} locally and on ${peers.length} peers`;
+  }
+
+  async function get(args) {
+    if (args.length !== 1) throw new Error(`Usage: ${commands.get.usage}`);
+    let value = await node.get(args[0]);
+    return value === null ? `No value for ${args[0]}` : value;
+  }
+
+  async function ping(args) {
+    if (args.length !== 1) throw new Error(`Usage: ${commands.ping.usage}`);
+    let address = args[0];
+    let entry = node.running().find(address.toLowerCase());
+    if (entry) address = `${entry.node.peerIP}:${entry.node.peerPort}`;
+    let started = uniqueInstance.now();
+    let alive = await node.ping(address);
+    return alive ? `${address} is alive (${uniqueInstance.now() - started} ms)` : `${address} did not answer`;
+  }
+
+  function showStats() {
+    let stats = node.stats();
+    let received = Object.keys(stats.received).map(type => `${type} ${stats.received[type]}`);
+    return [
+      `Peer             ${stats.name} ${stats.address} [${stats.id}]`,
+      `Uptime           ${Math.round(stats.uptime / 1000)} s`,
+      `Peers            ${stats.peers} in ${stats.buckets} buckets, ${stats.replacements} spare`,
+      `Values           ${stats.values.stored} stored, ${stats.values.published} published here`,
+      `Received         ${received.length > 0 ? received.join(", ") : "nothing"}`,
+      `Pending requests ${stats.pendingRequests}`,
+      `Sessions         ${stats.sessions} encrypted`,
+    ].join("\n");
+  }
+
+  function showHelp() {
+    return Object.values(commands).map(command => `  ${command.usage.padEnd(22)}${command.help}`).join("\n");
+  }
+
+  return { start: start, stop: stop, execute: execute };
+}
+
+// ---------------------------------------------------------------------
+
+// A table entry as "ip:port  id  seen Ns ago", with its missed pings if any
+function describeEntry(entry) {
+  let seen = Math.round((uniqueInstance.now() - entry.lastSeen) / 1000);
+  let missed = entry.missedPings > 0 ? `, ${entry.missedPings} missed pings` : "";
+  return `${entry.node.peerIP}:${entry.node.peerPort}`.padEnd(22) + `${entry.node.peerID}  seen ${seen}s ago${missed}`;
+}
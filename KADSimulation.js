@@ -0,0 +1,313 @@
+let netLib = require("net");
+let handler = require("./KADNetworkManager");
+let RoutingTable = require("./KADRoutingTable");
+let transports = require("./KADTransport");
+let Identity = require("./KADIdentity");
+
+// ---------------------------------------------------------------------
+/**
+ * Runs a whole Kademlia network inside one Node process, for integration tests and for
+ * experimenting with the Kademlia parameters. Each peer gets its own address (127.1.x.y),
+ * which lets the simulation tell who is talking and cut the links that a partition or a
+ * dead peer would cut. Every peer listens, then joins with `bootstrap` through a peer
+ * already running. The peers talk through one of two transports:
+ *
+ *   "tcp"    - Every peer is a real peer on loopback. This relies on the whole 127.0.0.0/8
+ *              block being routed to the loopback interface, as on Linux.
+ *   "memory" - The peers share a MemoryNetwork. No socket is opened, and a dead peer fails
+ *              requests at once, which keeps tests fast.
+ *
+ *   const sim = new Simulation({ k: 4 });
+ *   await sim.start(10);
+ *   await sim.put(sim.peers[3], "colour", "blue");
+ *   await sim.get(sim.peers[9], "colour"); // "blue"
+ *   sim.assertInvariants();
+ *   await sim.stop();
+ */
+class Simulation {
+  /**
+   * @param {Object} options - Optional `transport` ("tcp", the default, or "memory"), `k`
+   *                           (bucket size and replication factor), `alpha` (lookup
+   *                           parallelism) and `settleTime`, the milliseconds `settle()`
+   *                           waits for in-flight messages (200 by default).
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || "tcp";
+    this.k = options.k || 20;
+    this.alpha = options.alpha;
+    this.settleTime = options.settleTime || 200;
+    this.peers = [];
+    this.groups = null; // Peer name -> partition group, null when the network is whole
+
+    if (this.transport === "memory") {
+      this.network = new transports.MemoryNetwork();
+      this.network.reachable = (from, to) => {
+        let source = this.peerAt(from.address);
+        let target = this.peerAt(to.address);
+        return !source || !target || this.canReach(source, target);
+      };
+    }
+  }
+
+  /**
+   * Starts a network of `count` peers: the first one alone, every following one joining
+   * through a random peer already running.
+   *
+   * @param {number} count - The number of peers to start.
+   * @returns {Promise<Array>} The simulated peers.
+   */
+  async start(count) {
+    for (let i = 0; i < count; i++) {
+      let alive = this.alivePeers();
+      let bootstrap = alive.length > 0 ? alive[Math.floor(Math.random() * alive.length)] : null;
+      await this.addPeer("peer" + this.peers.length, bootstrap);
+    }
+    return this.peers;
+  }
+
+  /**
+   * Starts one peer. Without a bootstrap peer it simply listens; otherwise it joins the
+   * network through the bootstrap peer and the promise resolves once its self lookup is done.
+   *
+   * @param {string} name - The peer name.
+   * @param {Object} bootstrap - Optional, the simulated peer to join through.
+   * @returns {Promise<Object>} The simulated peer: name, dht and alive flag.
+   */
+  async addPeer(name, bootstrap) {
+    let ip = addressFor(this.peers.length);
+    let memory = this.transport === "memory";
+    let port = memory ? 4000 : await freePort(ip);
+    let identity = Identity.generate();
+    let owner = { peerName: name, peerIP: ip, peerPort: port, peerID: identity.id };
+    let transport = memory ? transports.create("memory", { network: this.network }) : transports.create("tcp", { host: ip });
+    let peer = { name: name, dht: new RoutingTable(owner, { k: this.k, alpha: this.alpha, transport: transport, identity: identity }), alive: true, connections: new Set() };
+    this.peers.push(peer);
+
+    await this.listen(peer);
+    if (bootstrap) await new Promise(resolve => handler.bootstrap(peer.dht, bootstrap.dht.owner, resolve));
+    return peer;
+  }
+
+  /**
+   * Kills a peer: it stops listening and every open connection to it is cut.
+   *
+   * @param {Object} peer - The simulated peer.
+   */
+  async kill(peer) {
+    if (!peer.alive) return;
+    peer.alive = false;
+    peer.connections.forEach(connection => connection.destroy());
+    await new Promise(resolve => peer.dht.rpc.close(() => resolve()));
+  }
+
+  /**
+   * Brings a killed peer back on the same address, with the routing table it had.
+   *
+   * @param {Object} peer - The simulated peer.
+   */
+  async revive(peer) {
+    if (peer.alive) return;
+    peer.alive = true;
+    await this.listen(peer);
+  }
+
+  /**
+   * Splits the network: peers of different groups can no longer reach each other. Peers
+   * left out of every group form one more group together.
+   *
+   * @param {Array} groups - Arrays of simulated peers.
+   */
+  partition(groups) {
+    this.groups = {};
+    groups.forEach((group, index) => group.forEach(peer => { this.groups[peer.name] = index; }));
+  }
+
+  /**
+   * Removes any partition.
+   */
+  heal() {
+    this.groups = null;
+  }
+
+  /**
+   * @returns {boolean} True if peer `from` can currently reach peer `to`.
+   */
+  canReach(from, to) {
+    if (!from.alive || !to.alive) return false;
+    if (!this.groups) return true;
+    return groupOf(this.groups, from) === groupOf(this.groups, to);
+  }
+
+  /**
+   * @param {string} address - A peer address.
+   * @returns {Object|undefined} The simulated peer with that address.
+   */
+  peerAt(address) {
+    return this.peers.find(peer => peer.dht.owner.peerIP === address);
+  }
+
+  /**
+   * @returns {Array} The peers that are alive.
+   */
+  alivePeers() {
+    return this.peers.filter(peer => peer.alive);
+  }
+
+  /**
+   * Runs a 'find node' lookup from a peer.
+   *
+   * @param {Object} peer - The simulated peer looking up.
+   * @param {string} targetID - The hex ID to look for.
+   * @returns {Promise<Array>} The closest contacts that replied, closest first.
+   */
+  lookup(peer, targetID) {
+    return new Promise(resolve => handler.findNode(peer.dht, targetID, resolve));
+  }
+
+  /**
+   * Publishes a key/value pair from a peer, and waits for the 'store' messages to arrive.
+   *
+   * @param {Object} peer - The simulated publisher.
+   * @param {string} key - The key.
+   * @param {string} value - The value.
+   * @returns {Promise<Array>} The peers the pair was sent to.
+   */
+  async put(peer, key, value) {
+    let targets = await new Promise(resolve => handler.storeValue(peer.dht, key, value, resolve));
+    await this.settle();
+    return targets;
+  }
+
+  /**
+   * Looks up a value from a peer.
+   *
+   * @param {Object} peer - The simulated peer looking up.
+   * @param {string} key - The key.
+   * @returns {Promise<string|null>} The value, or null if no reachable peer holds it.
+   */
+  get(peer, key) {
+    return new Promise(resolve => handler.findValue(peer.dht, key, resolve));
+  }
+
+  /**
+   * Waits for the messages still in flight, e.g. the 'hello' and 'store' messages the
+   * peers send without waiting for an answer.
+   */
+  settle() {
+    return new Promise(resolve => setTimeout(resolve, this.settleTime));
+  }
+
+  /**
+   * Checks the routing table of every peer against the global view of the network. A
+   * table may point to dead peers, which it only finds out about when it pings them, but
+   * never to a peer that does not exist.
+   *
+   * @returns {Array} One message per violation, empty when every invariant holds.
+   */
+  checkInvariants() {
+    let violations = [];
+    let everyone = new Map(this.peers.map(peer => [peer.dht.owner.peerID, peer]));
+
+    this.peers.forEach(peer => {
+      let dht = peer.dht;
+      let seen = new Set();
+
+      for (const entry of dht) {
+        let id = entry.node.peerID;
+        let where = `${peer.name}: peer ${entry.node.peerIP}:${entry.node.peerPort} [${id}]`;
+
+        if (id === dht.owner.peerID) violations.push(`${where} is the owner itself`);
+        if (seen.has(id)) violations.push(`${where} is in the table twice`);
+        seen.add(id);
+
+        if (entry.prefix !== dht.prefixFor(id)) {
+          violations.push(`${where} sits in bucket P${entry.prefix} instead of P${dht.prefixFor(id)}`);
+        }
+        let known = everyone.get(id);
+        if (!known) {
+          violations.push(`${where} is not a peer of the network`);
+        } else if (known.dht.owner.peerIP !== entry.node.peerIP || known.dht.owner.peerPort !== entry.node.peerPort) {
+          violations.push(`${where} has the address of another peer`);
+        }
+      }
+
+      dht.prefixes().forEach(prefix => {
+        let size = dht.bucket(prefix).length;
+        if (size > dht.k) violations.push(`${peer.name}: bucket P${prefix} holds ${size} peers, more than k = ${dht.k}`);
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * Throws an error listing every violated invariant, if any.
+   */
+  assertInvariants() {
+    let violations = this.checkInvariants();
+    if (violations.length > 0) {
+      throw new Error(`Routing table invariants violated:\n  ${violations.join("\n  ")}`);
+    }
+  }
+
+  /**
+   * Stops every peer.
+   */
+  async stop() {
+    for (const peer of this.peers) await this.kill(peer);
+  }
+
+  // Starts listening for a peer on its address, behind the simulation's guard
+  listen(peer) {
+    return new Promise((resolve, reject) => {
+      handler.listen(peer.dht, (err) => {
+        if (err) return reject(err);
+        this.guard(peer);
+        resolve();
+      });
+    });
+  }
+
+  // Over TCP, cuts the connections a partition forbids before the peer sees them, and keeps
+  // track of the open ones so that killing the peer can cut them too. The memory network
+  // asks `canReach` itself.
+  guard(peer) {
+    let server = peer.dht.transport.server;
+    if (!server) return;
+    peer.connections = new Set();
+    server.prependListener("connection", (connection) => {
+      let from = this.peerAt(connection.remoteAddress);
+      if (from && !this.canReach(from, peer)) {
+        connection.destroy(); // Nothing reaches the peer
+        return;
+      }
+      peer.connections.add(connection);
+      connection.on('close', () => peer.connections.delete(connection));
+    });
+  }
+}
+
+// ---------------------------------------------------------------------
+
+// The loopback address of the n-th peer: 127.1.0.1, 127.1.0.2, ... 127.1.0.250, 127.1.1.1, ...
+function addressFor(n) {
+  return `127.1.${Math.floor(n / 250)}.${(n % 250) + 1}`;
+}
+
+// A port that is free on an address, found by letting the system pick one
+function freePort(ip) {
+  return new Promise((resolve, reject) => {
+    let probe = netLib.createServer();
+    probe.on('error', reject);
+    probe.listen(0, ip, () => {
+      let port = probe.address().port;
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function groupOf(groups, peer) {
+  return peer.name in groups ? groups[peer.name] : -1;
+}
+
+module.exports = Simulation;
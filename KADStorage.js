@@ -0,0 +1,132 @@
+let fs = require("fs");
+let path = require("path");
+let log = require("./KADLogger").create("storage");
+
+// The files of a data directory
+const files = {
+  identity: "identity.json", // { id, host, port }: who the peer is
+  key: "key.pem",            // The Ed25519 private key the ID derives from, PKCS #8 PEM
+  contacts: "contacts.json", // [{ name, host, port, id, lastSeen }]: the routing table
+  values: "values.json",     // { keyID: { value, storedAt, original, publishedAt } }: the store
+};
+
+// ---------------------------- Exports -----------------------------------------
+module.exports = {
+  files: files,
+
+  /**
+   * Creates the storage of a peer's state in a data directory, created if missing: its
+   * identity, its routing table contacts and its key/value store, one JSON file each, and
+   * its private key, readable by its owner only.
+   * Every file is written atomically, to a temporary file renamed over the old one, so a
+   * crash leaves either the old or the new state, never half of it.
+   *
+   * @param {string} dir - The data directory.
+   * @returns {Object} The storage, with `load()`, `save(dht)` and `saveKey(identity)`.
+   */
+  createStorage: createStorage,
+
+  /**
+   * Writes a file atomically: the data goes to a temporary file in the same directory,
+   * which is flushed to disk and renamed over the target.
+   *
+   * @param {string} file - The path of the file.
+   * @param {string} data - The content.
+   * @param {number} mode - Optional permissions of the file, 0o666 by default (less the umask).
+   */
+  writeFileAtomic: writeFileAtomic
+};
+
+// ---------------------------------------------------------------------
+function createStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function load() {
+    /**
+     * Reads the saved state. A missing file stands for no state; an unreadable one is
+     * reported and ignored, the peer then starting afresh.
+     *
+     * @returns {Object} `{ identity, key, contacts, values }`, identity and key (the PEM
+     *                   text) being null and the others empty when nothing was saved.
+     */
+    return {
+      identity: read(files.identity, null),
+      key: readText(files.key, null),
+      contacts: read(files.contacts, []),
+      values: read(files.values, {}),
+    };
+  }
+
+  function save(dht) {
+    /**
+     * Saves the state of a peer.
+     *
+     * @param {Object} dht - The local peer's Kademlia DHT.
+     */
+    let owner = dht.owner;
+    write(files.identity, { id: owner.peerID, host: owner.peerIP, port: owner.peerPort });
+    write(files.contacts, Array.from(dht).map(entry => ({
+      name: entry.node.peerName,
+      host: entry.node.peerIP,
+      port: entry.node.peerPort,
+      id: entry.node.peerID,
+      lastSeen: entry.lastSeen,
+    })));
+    write(files.values, dht.store);
+  }
+
+  function saveKey(identity) {
+    /**
+     * Saves the private key of a peer, which only changes when the peer gets a new identity.
+     *
+     * @param {Identity} identity - The KADIdentity of the peer.
+     */
+    writeFileAtomic(path.join(dir, files.key), identity.toPem(), 0o600);
+  }
+
+  function readText(name, missing) {
+    let file = path.join(dir, name);
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") log.warn("file-unreadable", "Cannot read {file}, ignoring it: {error}", { file: file, error: err.message });
+      return missing;
+    }
+  }
+
+  function read(name, missing) {
+    let file = path.join(dir, name);
+    let text = readText(name, null);
+    if (text === null) return missing;
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      log.warn("file-invalid", "Invalid JSON in {file}, ignoring it: {error}", { file: file, error: err.message });
+      return missing;
+    }
+  }
+
+  function write(name, data) {
+    writeFileAtomic(path.join(dir, name), JSON.stringify(data, null, 2) + "\n");
+  }
+
+  return { dir: dir, load: load, save: save, saveKey: saveKey };
+}
+
+// ---------------------------------------------------------------------
+function writeFileAtomic(file, data, mode) {
+  let temporary = `${file}.${process.pid}.tmp`;
+  let fd = fs.openSync(temporary, "w", mode);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(temporary, file);
+  } catch (err) {
+    fs.rmSync(temporary, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,196 @@
+let netLib = require("net");
+let framing = require("./KADFraming");
+let log = require("./KADLogger").create("transport");
+
+const DEFAULT_TIMEOUT = 2000; // Milliseconds an idle connection is kept open
+const DEFAULT_MAX_CONNECTIONS = 256; // Incoming connections open at the same time
+const DEFAULT_MAX_CONNECTIONS_PER_IP = 16; // Incoming connections from one address open at the same time
+const DEFAULT_MAX_MESSAGE_SIZE = 128 * 1024; // Largest packet taken in, above any kadPTP packet
+
+// ---------------------------------------------------------------------
+/**
+ * kadPTP over short-lived TCP connections. Every packet is framed with a length prefix
+ * (see KADFraming). A listening peer greets every connection with a first packet, its
+ * 'welcome' message, and the connecting peer only writes once that greeting has arrived.
+ * A packet sent expecting a reply keeps its connection open until the reply comes back on
+ * it; the reply is handed to the sender's own handlers, like any packet received.
+ *
+ * TCP carries packets of any size, which makes it the fallback of the UDP transport for
+ * large payloads. See KADTransport for the interface shared by all transports.
+ *
+ * A listening transport keeps misbehaving peers in check: it caps the connections open at
+ * once, in all and per address, closes connections left idle, and refuses packets larger
+ * than `maxMessageSize` before buffering them. Refused connections and packets are handed
+ * to `handlers.refuse(from, reason)`, which may return a last packet to send, e.g. a
+ * kadPTP ERROR, before the connection is closed.
+ */
+class TcpTransport {
+  /**
+   * @param {Object} options - Optional `host`, the local address outgoing connections
+   *                           leave from, `timeout`, the milliseconds an idle
+   *                           connection is kept open, `maxConnections` and
+   *                           `maxConnectionsPerIP`, the incoming connections open at once,
+   *                           and `maxMessageSize` (bytes).
+   */
+  constructor(options = {}) {
+    this.host = options.host || null;
+    this.port = null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxConnections = options.maxConnections || DEFAULT_MAX_CONNECTIONS;
+    this.maxConnectionsPerIP = options.maxConnectionsPerIP || DEFAULT_MAX_CONNECTIONS_PER_IP;
+    this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    this.handlers = null;
+    this.server = null; // The net.Server, once listening
+    this.connections = new Map(); // Remote address -> incoming connections open from it
+    this.closed = false; // Set by close(), after which nothing is sent
+  }
+
+  /**
+   * Accepts connections on an address, each handled by `accept`.
+   *
+   * @param {string} host - The local address to listen on.
+   * @param {number} port - The port to listen on.
+   * @param {Function} callback - Called with an error, or null once listening.
+   */
+  listen(host, port, callback) {
+    this.closed = false;
+    this.host = host;
+    this.port = port;
+    this.server = netLib.createServer((connection) => this.accept(connection));
+    this.server.once('error', (err) => callback(err));
+    this.server.listen(port, host, () => callback(null));
+  }
+
+  /**
+   * Serves one incoming connection: writes the greeting, then hands every packet received
+   * to `handlers.onPacket(packet, from, reply)`, where `reply(packet)` answers on the
+   * same connection. A connection over the caps is refused at once.
+   *
+   * @param {net.Socket} connection - The incoming connection.
+   */
+  accept(connection) {
+    let handlers = this.handlers;
+    let from = { address: connection.remoteAddress, port: connection.remotePort };
+    connection.on('error', (err) => {
+      log.warn("connection-failed", "Connection with {address} failed: {error}", { address: `${from.address}:${from.port}`, error: err.message });
+    });
+
+    let open = this.connections.get(from.address) || 0;
+    if (this.openConnections() >= this.maxConnections || open >= this.maxConnectionsPerIP) {
+      this.refuse(connection, from, "connections");
+      return;
+    }
+    this.connections.set(from.address, open + 1);
+    connection.on('close', () => {
+      let left = this.connections.get(from.address) - 1;
+      if (left > 0) this.connections.set(from.address, left);
+      else this.connections.delete(from.address);
+    });
+    connection.setTimeout(this.timeout, () => this.refuse(connection, from, "idle"));
+
+    framing.attach(connection, (packet) => {
+      handlers.onPacket(packet, from, (reply) => {
+        if (connection.writable) connection.write(framing.frame(reply));
+      });
+    }, this.maxMessageSize, () => this.refuse(connection, from, "size"));
+
+    if (handlers.greeting) connection.write(framing.frame(handlers.greeting()));
+  }
+
+  /**
+   * The number of incoming connections open.
+   *
+   * @returns {number} The connections, from every address.
+   */
+  openConnections() {
+    let total = 0;
+    this.connections.forEach(count => total += count);
+    return total;
+  }
+
+  // Closes an incoming connection that is over a limit, after the handlers' last packet
+  refuse(connection, from, reason) {
+    let packet = this.handlers && this.handlers.refuse ? this.handlers.refuse(from, reason) : null;
+    connection.removeAllListeners('timeout');
+    if (packet && connection.writable) {
+      connection.end(framing.frame(packet));
+      connection.setTimeout(this.timeout, () => connection.destroy()); // In case the peer never reads it
+    } else {
+      connection.destroy();
+    }
+  }
+
+  /**
+   * Connects to a peer, waits for its greeting and writes a packet.
+   *
+   * @param {Object} peer - The peer information object of the peer to contact.
+   * @param {Buffer} packet - The kadPTP packet.
+   * @param {Object} options - Optional `expectReply`, to keep the connection open for the
+   *                           reply.
+   * @param {Function} callback - Optional, called once with null when the packet is written
+   *                              (and, with `expectReply`, answered), or with an error, e.g.
+   *                              once the transport is closed.
+   */
+  send(peer, packet, options = {}, callback) {
+    if (this.closed) {
+      if (callback) callback(new Error("Transport closed"));
+      return;
+    }
+    let sock = new netLib.Socket();
+    let from = { address: peer.peerIP, port: Number(peer.peerPort) };
+    let greeted = false;
+    let done = false;
+
+    function finish(err) {
+      if (done) return;
+      done = true;
+      if (callback) callback(err);
+    }
+
+    let target = { port: peer.peerPort, host: peer.peerIP };
+    if (this.host) target.localAddress = this.host;
+    sock.connect(target);
+    sock.setTimeout(this.timeout, () => sock.destroy());
+
+    framing.attach(sock, (data) => {
+      if (!greeted) {
+        greeted = true;
+        if (this.handlers && this.handlers.onGreeting) this.handlers.onGreeting(data, from);
+        sock.write(framing.frame(packet));
+        if (!options.expectReply) {
+          finish(null);
+          sock.end();
+        }
+        return;
+      }
+      finish(null);
+      sock.end();
+      if (this.handlers) this.handlers.onPacket(data, from, () => {}); // A reply is not answered
+    }, this.maxMessageSize);
+
+    sock.on('error', (err) => {
+      log.warn("send-failed", "Message to peer {address} failed: {error}", { address: `${peer.peerIP}:${peer.peerPort}`, error: err.message });
+    });
+    sock.on('close', () => finish(new Error(`Connection to peer ${peer.peerIP}:${peer.peerPort} closed`)));
+  }
+
+  /**
+   * Stops listening.
+   *
+   * @param {Function} callback - Optional, called once the server is closed.
+   */
+  close(callback) {
+    let server = this.server;
+    this.server = null;
+    this.closed = true;
+    if (!server) {
+      if (callback) callback();
+      return;
+    }
+    server.close(() => {
+      if (callback) callback();
+    });
+  }
+}
+
+module.exports = TcpTransport;
@@ -0,0 +1,52 @@
+// Transports carry kadPTP packets between peers for the RPC layer (KADRpc), which never
+// touches a socket itself. Every transport has the same interface:
+//
+//   handlers
+//       Set by the transport's owner before use. `handlers.onPacket(packet, from, reply)` is
+//       called for every packet received, requests and replies alike, `from` being the
+//       sender's { address, port } and `reply(packet)` the way to answer it. Stream
+//       transports also greet every connection with `handlers.greeting()`, hand the
+//       greeting of every connection they open to `handlers.onGreeting(packet, from)`, and
+//       tell `handlers.refuse(from, reason)` of the connections and packets they turn
+//       down, sending the packet it returns, if any; see KADTcpTransport.
+//   listen(host, port, callback(err))
+//       Starts receiving on an address.
+//   send(peer, packet, options, callback(err))
+//       Sends a packet to a peer ({ peerIP, peerPort }); its reply, if any, arrives through
+//       `handlers.onPacket`. `options.expectReply` tells that one will come. The optional
+//       callback gets an error when the packet could not be delivered.
+//   close(callback)
+//       Stops receiving and frees the transport's sockets.
+//
+// Packets are whole kadPTP packets (Buffers); encoding and decoding them, matching replies
+// with requests and retrying are left to the RPC layer.
+
+let TcpTransport = require("./KADTcpTransport");
+let UdpTransport = require("./KADUdpTransport");
+let { MemoryNetwork, MemoryTransport } = require("./KADMemoryTransport");
+
+module.exports = {
+  TcpTransport: TcpTransport,
+  UdpTransport: UdpTransport,
+  MemoryNetwork: MemoryNetwork,
+  MemoryTransport: MemoryTransport,
+
+  //--------------------------
+  //create: builds a transport by name
+  //  "udp"    - UDP, with a TCP fallback on the same port for large packets (the default)
+  //  "tcp"    - TCP only
+  //  "memory" - in-process, on the MemoryNetwork given as options.network
+  //--------------------------
+  create: function (kind, options = {}) {
+    switch (kind || "udp") {
+      case "udp":
+        return new UdpTransport(Object.assign({ tcp: new TcpTransport(options) }, options));
+      case "tcp":
+        return new TcpTransport(options);
+      case "memory":
+        return new MemoryTransport(options.network);
+      default:
+        throw new Error(`Unknown transport ${kind}, expected udp, tcp or memory`);
+    }
+  },
+};
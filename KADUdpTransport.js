@@ -0,0 +1,127 @@
+let dgram = require("dgram");
+let log = require("./KADLogger").create("transport");
+
+const DEFAULT_MAX_DATAGRAM_SIZE = 8192; // Largest packet sent as a datagram
+
+// ---------------------------------------------------------------------
+/**
+ * kadPTP over UDP, the usual Kademlia transport. A peer sends and receives every datagram
+ * on the one socket it listens on, so its source address is its contact address, and
+ * replies simply go back to it. Datagrams get lost: waiting for replies and retrying is
+ * left to the RPC layer (KADRpc).
+ *
+ * Packets too large for a datagram go over the TCP transport given as `tcp`, which then
+ * listens on the same port number. A large reply reaches the requester over a TCP
+ * connection of its own, which leaves from another port than the request went to. See
+ * KADTransport for the interface shared by all transports.
+ */
+class UdpTransport {
+  /**
+   * @param {Object} options - Optional `maxDatagramSize` (bytes) and `tcp`, the TCP
+   *                           transport used for large packets.
+   */
+  constructor(options = {}) {
+    this.maxDatagramSize = options.maxDatagramSize || DEFAULT_MAX_DATAGRAM_SIZE;
+    this.tcp = options.tcp || null;
+    this.socket = null;
+    this.handlers = null;
+    this.closed = false; // Set by close(), after which nothing is sent
+  }
+
+  // The TCP fallback hands what it receives to the same handlers
+  get handlers() {
+    return this.receivers;
+  }
+
+  set handlers(handlers) {
+    this.receivers = handlers;
+    if (this.tcp) this.tcp.handlers = handlers;
+  }
+
+  /**
+   * Binds the socket to an address, and starts the TCP fallback on the same port.
+   *
+   * @param {string} host - The local address to listen on.
+   * @param {number} port - The port to listen on.
+   * @param {Function} callback - Called with an error, or null once listening.
+   */
+  listen(host, port, callback) {
+    this.closed = false;
+    this.openSocket();
+    this.socket.once('error', (err) => callback(err));
+    this.socket.bind(port, host, () => {
+      if (this.tcp) {
+        this.tcp.listen(host, this.socket.address().port, callback); // The port bound, if 0 was asked for
+      } else {
+        callback(null);
+      }
+    });
+  }
+
+  /**
+   * Sends a packet as a datagram, or over TCP when it does not fit in one.
+   *
+   * @param {Object} peer - The peer information object of the peer to contact.
+   * @param {Buffer} packet - The kadPTP packet.
+   * @param {Object} options - Passed on to the TCP transport for large packets.
+   * @param {Function} callback - Optional, called once with null when the packet is sent,
+   *                              or with an error, e.g. once the transport is closed.
+   */
+  send(peer, packet, options = {}, callback = () => {}) {
+    if (this.closed) {
+      callback(new Error("Transport closed"));
+      return;
+    }
+    if (packet.length > this.maxDatagramSize) {
+      if (this.tcp) {
+        this.tcp.send(peer, packet, options, callback);
+      } else {
+        log.warn("packet-too-large", "Message to peer {address} dropped: {bytes} bytes do not fit in a datagram", { address: `${peer.peerIP}:${peer.peerPort}`, bytes: packet.length });
+        callback(new Error("Packet too large for a datagram"));
+      }
+      return;
+    }
+    this.openSocket();
+    this.socket.send(packet, peer.peerPort, peer.peerIP, (err) => {
+      if (err) log.warn("send-failed", "Message to peer {address} failed: {error}", { address: `${peer.peerIP}:${peer.peerPort}`, error: err.message });
+      callback(err || null);
+    });
+  }
+
+  /**
+   * Closes the socket and the TCP fallback.
+   *
+   * @param {Function} callback - Optional, called once everything is closed.
+   */
+  close(callback) {
+    let socket = this.socket;
+    this.socket = null;
+    this.closed = true;
+    if (socket) socket.close();
+    if (this.tcp) {
+      this.tcp.close(callback);
+    } else if (callback) {
+      callback();
+    }
+  }
+
+  // Creates the socket, unless there is one already. A transport that sends before it
+  // listens gets a socket on a random port.
+  openSocket() {
+    if (this.socket) return;
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', (datagram, rinfo) => this.receive(datagram, rinfo));
+    this.socket.on('error', (err) => log.error("socket-error", "UDP socket error: {error}", { error: err.message }));
+  }
+
+  receive(datagram, rinfo) {
+    if (!this.handlers) return;
+    let from = { address: rinfo.address, port: rinfo.port };
+    this.handlers.onPacket(datagram, from, (reply) => {
+      if (!this.socket) return; // Closed in the meantime
+      this.send({ peerIP: from.address, peerPort: from.port }, reply);
+    });
+  }
+}
+
+module.exports = UdpTransport;
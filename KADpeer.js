@@ -1,75 +1,91 @@
-const net = require("net");
-const singleton = require("./Singleton");
-const handler = require("./KADNetworkManager");
-
-// Initialize singleton
-singleton.init();
-
-// Get current folder name
-const myName = __dirname.split("\\").pop();
-
-// Set localhost IP address
-const HOST = "127.0.0.1";
-
-// Get random port number
-const PORT = singleton.getPort();
-
-// Generate server ID
-const serverID = singleton.getPeerID(HOST, PORT);
-
-// Handle command line arguments
-if (process.argv.length <= 2 || process.argv[2] !== "-n") {
-  console.error("Invalid arguments. Usage: node KADpeer -n peerName -p serverIP:port");
-  process.exit(1);
+const config = require("./KADConfig");
+const KademliaNode = require("./KADNode");
+const shell = require("./KADShell");
+const admin = require("./KADAdmin");
+const logger = require("./KADLogger");
+const metrics = require("./KADMetrics");
+
+const log = logger.create("node");
+
+// Start the peer only when run from the command line, so the modules it uses can be
+// required (e.g. by tests) without opening any socket
+if (require.main === module) {
+  main();
 }
 
-const args = process.argv.slice(2);
-const peerName = args[1];
+function main() {
+  // Handle command line arguments and the config file
+  let settings;
+  try {
+    settings = config.load(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof config.ConfigError)) throw err;
+    console.error(`${err.message}\nRun node KADpeer --help for the options.`);
+    process.exit(1);
+  }
+  if (settings.help) {
+    console.log(config.usage());
+    return;
+  }
 
-if (peerName === "server") {
-  // Run as server
-  runServer();
-} else {
-  // Run as client
-  runClient(peerName, args);
+  logger.configure({ level: settings.logLevel, format: settings.logFormat });
+  runPeer(settings);
 }
 
-// Function to run as server
-function runServer() {
-  const serverSocket = net.createServer();
-  serverSocket.listen(PORT, HOST);
-  console.log(`Server is running at ${HOST}:${PORT}, located at ${myName} [${serverID}]`);
+// Every peer is alike: it listens, joins the network through the seeds it is given, if
+// any, and serves as a seed for the peers started after it
+function runPeer(settings) {
+  const node = new KademliaNode({
+    name: settings.name,
+    k: settings.k,
+    alpha: settings.alpha,
+    idBits: settings.idBits,
+    dataDir: settings.dataDir,
+    encrypt: settings.encrypt,
+    rateLimit: settings.rateLimit,
+    maxMessageSize: settings.maxMessageSize,
+    maxConnections: settings.maxConnections,
+    unlimitedSubnets: settings.unlimitedSubnets,
+  });
 
-  const serverPeer = { peerName: myName, peerIP: HOST, peerPort: PORT, peerID: serverID };
-  const serverDHTtable = { owner: serverPeer, table: [] };
+  // Stop cleanly, so that a peer with a data directory saves its state
+  ["SIGINT", "SIGTERM"].forEach(signal => process.once(signal, () => {
+    node.stop().then(() => process.exit(0));
+  }));
 
-  serverSocket.on("connection", sock => {
-    handler.handleClientJoining(sock, serverDHTtable);
+  node.on("listening", ({ host, port }) => {
+    log.info("listening", "This peer address is {address} located at {name} [{id}]", { address: `${host}:${port}`, name: settings.name, id: node.id });
+  });
+  node.start({ host: settings.host, port: settings.port, bootstrap: settings.bootstrap }).then(() => {
+    if (settings.adminPort) startAdminApi(node, settings);
+    if (settings.metricsPort) startMetricsExporter(node, settings);
+    if (settings.shell) {
+      shell.createShell(node, { onExit: () => node.stop().then(() => process.exit(0)) }).start();
+    }
+  }, (err) => {
+    log.error("start-failed", "Cannot start the peer on {address}: {error}", { address: `${settings.host}:${settings.port || "a random port"}`, error: err.message });
+    process.exit(1);
   });
 }
 
-// Function to run as client
-function runClient(peerName, args) {
-  if (args.length !== 4 || args[2] !== "-p") {
-    console.error("Invalid arguments. Usage: node KADpeer -n peerName -p serverIP:port");
+// Serves the admin HTTP API of the peer on the loopback interface
+function startAdminApi(node, settings) {
+  const api = admin.createAdminServer(node, { port: settings.adminPort, token: settings.adminToken });
+  api.start().then(({ host, port }) => {
+    log.info("admin-listening", "Admin API listening on {url}", { url: `http://${host}:${port}` });
+  }, (err) => {
+    log.error("admin-failed", "Cannot start the admin API on port {port}: {error}", { port: settings.adminPort, error: err.message });
     process.exit(1);
-  }
+  });
+}
 
-  const [_, __, flag, address] = args;
-  if (flag !== "-p") {
-    console.error("Invalid arguments. Usage: node KADpeer -n peerName -p serverIP:port");
+// Serves the metrics of the peer to Prometheus on the interface chosen, loopback by default
+function startMetricsExporter(node, settings) {
+  const exporter = metrics.createExporter(node.metrics, { host: settings.metricsHost, port: settings.metricsPort });
+  exporter.start().then(({ host, port }) => {
+    log.info("metrics-listening", "Metrics exported on {url}", { url: `http://${host}:${port}/metrics` });
+  }, (err) => {
+    log.error("metrics-failed", "Cannot export the metrics on {address}: {error}", { address: `${settings.metricsHost}:${settings.metricsPort}`, error: err.message });
     process.exit(1);
-  }
-
-  const [knownHOST, knownPORT] = address.split(":");
-  const clientSocket = new net.Socket();
-  const clientPort = singleton.getPort();
-
-  clientSocket.connect({ port: knownPORT, host: knownHOST, localPort: clientPort }, () => {
-    const clientID = singleton.getPeerID(clientSocket.localAddress, clientPort);
-    const clientPeer = { peerName, peerIP: clientSocket.localAddress, peerPort: clientPort, peerID: clientID };
-    const clientDHTtable = { owner: clientPeer, table: [] };
-
-    handler.handleCommunications(clientSocket, peerName, clientDHTtable);
   });
 }
@@ -1,23 +1,35 @@
 
 const crypto = require('crypto');
-let sequenceNumber;
+let sequenceNumber = 0;
 let timerInterval = 10;
-let timer;
+let timerOffset;
+let timerStart;
+let idBits = 160; // Width of peer and key IDs
 
-function timerRun() {
-    timer ++;
-    if (timer == 4294967295) {
-        timer = Math.floor(1000 * Math.random()); // reset timer to be within 32 bit size
-    }
-}
+// Source of the current time in milliseconds; tests can swap it for a fake one with setClock
+let clock = { now: () => Date.now() };
 
 module.exports = {
     init: function() {
-        timer = Math.floor(1000 * Math.random()); /* any random number */
-        setInterval(timerRun, timerInterval);
+        timerOffset = Math.floor(1000 * Math.random()); /* any random number */
+        timerStart = clock.now();
         sequenceNumber = Math.floor(1000 * Math.random()); /* any random number */
     },
 
+    //--------------------------
+    //setClock: replaces the clock used for timestamps, e.g. { now: () => fakeTime }
+    //--------------------------
+    setClock: function(newClock) {
+        clock = newClock;
+    },
+
+    //--------------------------
+    //now: return the current time of the clock in milliseconds
+    //--------------------------
+    now: function() {
+        return clock.now();
+    },
+
     //--------------------------
     //getSequenceNumber: return the current sequence number + 1
     //--------------------------
@@ -27,10 +39,11 @@ module.exports = {
     },
 
     //--------------------------
-    //getTimestamp: return the current timer value
+    //getTimestamp: return the current timer value, one tick every timerInterval ms within 32 bit size
     //--------------------------
     getTimestamp: function() {
-        return timer;
+        const ticks = Math.floor((clock.now() - timerStart) / timerInterval);
+        return (timerOffset + ticks) % 4294967295;
     },
 
     //--------------------------
@@ -42,46 +55,134 @@ module.exports = {
     },
 
     //--------------------------
-    //getPeerID: takes the IP and port number and returns 4 bytes Hex number
+    //setIDBits: sets the width of peer and key IDs in bits (a multiple of 8, 160 by default)
+    //--------------------------
+    setIDBits: function (bits) {
+        if (!Number.isInteger(bits) || bits <= 0 || bits % 8 !== 0) {
+            throw new Error("The ID width must be a positive multiple of 8 bits, got " + bits);
+        }
+        idBits = bits;
+    },
+
+    //--------------------------
+    //getIDBits / getIDBytes: return the width of peer and key IDs
+    //--------------------------
+    getIDBits: function () {
+        return idBits;
+    },
+
+    getIDBytes: function () {
+        return idBits / 8;
+    },
+
+    //--------------------------
+    //getPeerID: takes the IP and port number and returns an ID of getIDBits() bits as a Hex string.
+    //Peers no longer go by it: their IDs derive from their keys, see KADIdentity
     //--------------------------
     getPeerID: function (IP, port) {
         // Combine IP and port to create a unique string for each peer
         const input = IP + ':' + port;
-        // Use SHAKE256 hash function
-        const hash = crypto.createHash('shake256');
-        // Update the hash with the input string
+        return this.hashToID(input);
+    },
+
+    //--------------------------
+    //getKeyID: hashes a storage key into the same ID space as the peer IDs
+    //--------------------------
+    getKeyID: function (key) {
+        return this.hashToID(key);
+    },
+
+    //--------------------------
+    //hashToID: SHAKE256 digest of the input, as long as an ID, as a Hex string
+    //--------------------------
+    hashToID: function (input) {
+        const hash = crypto.createHash('shake256', { outputLength: this.getIDBytes() });
         hash.update(input);
-        // Return a 4-byte hash as a hex string
-        return hash.digest('hex').slice(0, 8); // 8 hex characters represent 4 bytes
+        return hash.digest('hex');
     },
 
+    //--------------------------
+    //idToBuffer: returns the bytes of an ID given as a Hex string or a Buffer
+    //--------------------------
+    idToBuffer: function (id) {
+        return Buffer.isBuffer(id) ? id : Buffer.from(id, 'hex');
+    },
 
-        //--------------------------
-    //getBucketPrefix: calculates the common prefix length of two peer IDs in binary representation
+    //--------------------------
+    //xorDistance: XOR distance between two IDs of the same width, as a Buffer
+    //--------------------------
+    xorDistance: function (id1, id2) {
+        const a = this.idToBuffer(id1);
+        const b = this.idToBuffer(id2);
+        const distance = Buffer.alloc(a.length);
+        for (let i = 0; i < a.length; i++) {
+            distance[i] = a[i] ^ b[i];
+        }
+        return distance;
+    },
+
+    //--------------------------
+    //compareDistance: negative if id1 is closer to target than id2, positive if farther, 0 if equal
+    //--------------------------
+    compareDistance: function (target, id1, id2) {
+        return Buffer.compare(this.xorDistance(target, id1), this.xorDistance(target, id2));
+    },
+
+    //--------------------------
+    //getBucketPrefix: calculates the common prefix length of two peer IDs in bits
     //--------------------------
     getBucketPrefix: function(peerID1, peerID2) {
-        const binary1 = this.Hex2Bin(peerID1);
-        const binary2 = this.Hex2Bin(peerID2);
+        const distance = this.xorDistance(peerID1, peerID2);
         let prefixLength = 0;
-        for (let i = 0; i < binary1.length; i++) {
-            if (binary1[i] !== binary2[i]) break;
-            prefixLength++;
+        for (let i = 0; i < distance.length; i++) {
+            if (distance[i] === 0) {
+                prefixLength += 8;
+                continue;
+            }
+            // Count the leading zero bits of the first differing byte
+            prefixLength += Math.clz32(distance[i]) - 24;
+            break;
         }
         return prefixLength;
     },
 
-   
     //--------------------------
     //Hex2Bin: convert Hex string into binary string
     //--------------------------
     Hex2Bin: function (hex) {
         var bin = ""
         hex.split("").forEach(str => {
-            bin += parseInt(str, 16).toString(2).padStart(8, '0')
+            bin += parseInt(str, 16).toString(2).padStart(4, '0')
         })
         return bin
     },
 
+    //--------------------------
+    //Bin2Hex: convert binary string into Hex string
+    //--------------------------
+    Bin2Hex: function (bin) {
+        var hex = ""
+        for (let i = 0; i < bin.length; i += 4) {
+            hex += parseInt(bin.slice(i, i + 4), 2).toString(16)
+        }
+        return hex
+    },
+
+    //--------------------------
+    //getRandomIDInBucket: returns a random ID that falls in the bucket with the given prefix of peerID
+    //--------------------------
+    getRandomIDInBucket: function (peerID, prefix) {
+        // Keep the first prefix bits, flip the next one and pick the remaining ones at random
+        const id = this.idToBuffer(peerID);
+        const randomID = crypto.randomBytes(id.length);
+        for (let i = 0; i <= prefix && i < id.length * 8; i++) {
+            const mask = 0x80 >> (i % 8);
+            const bit = i === prefix ? ~id[i >> 3] & mask : id[i >> 3] & mask;
+            randomID[i >> 3] = (randomID[i >> 3] & ~mask) | bit;
+        }
+        return randomID.toString('hex');
+    },
+
     //--------------------------
     //XORing: finds the XOR of the two Binary Strings with the same size
     //--------------------------
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+
+const KademliaNode = require("../KADNode");
+const admin = require("../KADAdmin");
+const transports = require("../KADTransport");
+require("./helpers"); // Keeps the loggers quiet
+
+// Two memory nodes, `a` joined through `seed`, and the admin API of `a`
+async function setUp(t, options) {
+  const network = new transports.MemoryNetwork();
+  const seed = new KademliaNode({ name: "seed", transport: "memory", network: network });
+  const node = new KademliaNode({ name: "a", transport: "memory", network: network });
+  await seed.start({ host: "10.0.0.1", port: 4000 });
+  await node.start({ host: "10.0.0.2", port: 4000, bootstrap: "10.0.0.1:4000" });
+  const api = admin.createAdminServer(node, options);
+  const { port } = await api.start();
+  t.after(async () => { await api.stop(); await node.stop(); await seed.stop(); });
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method: method,
+      headers: Object.assign(body === undefined ? {} : { "Content-Type": "application/json" }, headers),
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { seed, node, port, request };
+}
+
+// Sends a request with a Host header of its own, which fetch does not allow
+function requestAs(port, hostHeader) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ host: "127.0.0.1", port: port, path: "/table", headers: { Host: hostHeader } }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on("error", reject);
+  });
+}
+
+test("the admin API exposes the table, stats, lookups and values of a node", async (t) => {
+  const { seed, node, request } = await setUp(t);
+
+  const table = await request("GET", "/table");
+  assert.strictEqual(table.status, 200);
+  assert.strictEqual(table.body.owner.id, node.id);
+  assert.strictEqual(table.body.buckets.length, 1);
+  const [contact] = table.body.buckets[0].contacts;
+  assert.deepStrictEqual([contact.address, contact.id, contact.missedPings], ["10.0.0.1:4000", seed.id, 0]);
+  assert.ok(!isNaN(Date.parse(contact.lastSeen)));
+
+  const stats = await request("GET", "/stats");
+  assert.strictEqual(stats.body.peers, 1);
+  assert.ok(stats.body.received.PONG >= 1);
+
+  const lookup = await request("POST", "/lookup", { id: seed.id.toUpperCase() });
+  assert.strictEqual(lookup.body.peers[0].id, seed.id);
+
+  assert.deepStrictEqual((await request("PUT", "/values/a%20key", { value: "blue" })).body, { key: "a key", storedOn: 1 });
+  assert.strictEqual(await seed.get("a key"), "blue");
+  assert.deepStrictEqual((await request("GET", "/values/a%20key")).body, { key: "a key", value: "blue" });
+  assert.strictEqual((await request("GET", "/values/shape")).status, 404);
+
+  const bootstrap = await request("POST", "/bootstrap", { seeds: ["10.0.0.1:4000"] });
+  assert.strictEqual(bootstrap.status, 200);
+  assert.ok(bootstrap.body.peers.some(peer => peer.id === seed.id));
+});
+
+test("the admin API rejects bad requests", async (t) => {
+  const { request } = await setUp(t);
+
+  assert.strictEqual((await request("POST", "/lookup", { id: "1234" })).status, 400);
+  assert.strictEqual((await request("PUT", "/values/colour", { value: "" })).status, 400);
+  assert.strictEqual((await request("POST", "/bootstrap", { seeds: ["10.0.0.1"] })).status, 400);
+  assert.strictEqual((await request("POST", "/bootstrap", { seeds: ["localhost:4000"] })).status, 400); // Its replies would come from 127.0.0.1
+  assert.strictEqual((await request("POST", "/table")).status, 405);
+  assert.strictEqual((await request("GET", "/nowhere")).status, 404);
+
+  const invalid = await request("POST", "/lookup", "{");
+  assert.deepStrictEqual(invalid, { status: 400, body: { error: "Expected a JSON object body" } });
+});
+
+test("the admin API only serves requests addressed to it", async (t) => {
+  const { port } = await setUp(t);
+
+  // A page on a host name rebound to the loopback address reads nothing
+  assert.strictEqual(await requestAs(port, `attacker.example:${port}`), 403);
+  assert.strictEqual(await requestAs(port, "127.0.0.1:80"), 403);
+  assert.strictEqual(await requestAs(port, `127.0.0.1:${port}`), 200);
+  assert.strictEqual(await requestAs(port, `localhost:${port}`), 200);
+});
+
+test("the admin API only takes JSON bodies", async (t) => {
+  const { request } = await setUp(t);
+
+  // A page posting a form or plain text to it, which needs no preflight, gets nothing done
+  const plain = await request("POST", "/bootstrap", { seeds: ["10.0.0.1:4000"] }, { "Content-Type": "text/plain" });
+  assert.deepStrictEqual(plain, { status: 415, body: { error: "Expected a body of type application/json" } });
+  assert.strictEqual((await request("PUT", "/values/colour", { value: "blue" }, { "Content-Type": "application/x-www-form-urlencoded" })).status, 415);
+  assert.strictEqual((await request("POST", "/bootstrap", { seeds: ["10.0.0.1:4000"] }, { "Content-Type": "application/json; charset=utf-8" })).status, 200);
+});
+
+test("the admin API binds to loopback only and checks its token", async (t) => {
+  assert.throws(() => admin.createAdminServer({}, { host: "10.0.0.2" }), /loopback/);
+
+  const { request } = await setUp(t, { token: "s3cret" });
+  assert.strictEqual((await request("GET", "/stats")).status, 401);
+  assert.strictEqual((await request("GET", "/stats", undefined, { Authorization: "Bearer wrong!" })).status, 401);
+  assert.strictEqual((await request("GET", "/stats", undefined, { Authorization: "Bearer s3cret" })).status, 200);
+});
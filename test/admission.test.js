@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const handler = require("../KADNetworkManager");
+const RoutingTable = require("../KADRoutingTable");
+const KademliaNode = require("../KADNode");
+const transports = require("../KADTransport");
+const singleton = require("../Singleton");
+const Identity = require("../KADIdentity");
+const Rpc = require("../KADRpc");
+const { waitFor } = require("./helpers");
+
+const OWNER = Identity.generate();
+const OWNER_ID = OWNER.id;
+
+// Nobody answers on these addresses, which fall under the admission limits
+function peerAt(ip, prefix = 0) {
+  return { peerName: "", peerIP: ip, peerPort: 4000, peerID: singleton.getRandomIDInBucket(OWNER_ID, prefix) };
+}
+
+function newTable() {
+  return new RoutingTable({ peerName: "owner", peerIP: "127.0.0.1", peerPort: 2, peerID: OWNER_ID }, { k: 20, identity: OWNER });
+}
+
+function refusals(dht, limit) {
+  return handler.metricsFor(dht).render().split("\n").find(line => line.startsWith(`kad_bucket_refusals_total{limit="${limit}"}`));
+}
+
+
+test("a bucket admits a limited number of contacts per IP address and per subnet", () => {
+  const dht = newTable();
+  ["203.0.113.7", "203.0.113.7", "203.0.113.7"].forEach(ip => handler.pushBucket(dht, peerAt(ip)));
+  assert.strictEqual(dht.bucket(0).length, 2);
+  assert.strictEqual(refusals(dht, "bucket_ip"), 'kad_bucket_refusals_total{limit="bucket_ip"} 1');
+
+  // A third address of the same /24 still fits, a fourth contact in it does not
+  ["203.0.113.8", "203.0.113.9"].forEach(ip => handler.pushBucket(dht, peerAt(ip)));
+  assert.deepStrictEqual(dht.bucket(0).map(entry => entry.node.peerIP), ["203.0.113.7", "203.0.113.7", "203.0.113.8"]);
+  assert.strictEqual(refusals(dht, "bucket_subnet"), 'kad_bucket_refusals_total{limit="bucket_subnet"} 1');
+
+  // Known peers are still marked as seen
+  const first = dht.bucket(0)[0];
+  handler.pushBucket(dht, first.node);
+  assert.strictEqual(dht.bucket(0)[2], first);
+});
+
+test("the whole table admits a limited number of contacts per IP address", () => {
+  const dht = newTable();
+  [0, 1, 2, 3, 4].forEach(prefix => handler.pushBucket(dht, peerAt("198.51.100.1", prefix)));
+  assert.deepStrictEqual(dht.prefixes(), [0, 1, 2, 3]);
+  assert.strictEqual(refusals(dht, "table_ip"), 'kad_bucket_refusals_total{limit="table_ip"} 1');
+
+  // IPv4-mapped addresses are the same address
+  handler.pushBucket(dht, peerAt("::ffff:198.51.100.1", 5));
+  assert.strictEqual(dht.size, 4);
+  assert.strictEqual(refusals(dht, "table_ip"), 'kad_bucket_refusals_total{limit="table_ip"} 2');
+});
+
+test("only loopback addresses are unlimited, unless other subnets are configured", () => {
+  const dht = newTable();
+  ["127.0.0.1", "192.168.1.5"].forEach(ip => {
+    for (let i = 0; i < 5; i++) handler.pushBucket(dht, peerAt(ip, i));
+  });
+  assert.strictEqual(dht.size, 9);
+  assert.strictEqual(refusals(dht, "table_ip"), 'kad_bucket_refusals_total{limit="table_ip"} 1');
+
+  // A lab network can be exempted, per table; the subnets given replace the loopback default
+  const lab = new RoutingTable(dht.owner, { identity: OWNER, limits: { unlimitedSubnets: ["192.168.0.0/16", "203.0.113.9"] } });
+  ["192.168.1.5", "203.0.113.9", "127.0.0.1"].forEach(ip => {
+    for (let i = 0; i < 5; i++) handler.pushBucket(lab, peerAt(ip, i));
+  });
+  assert.strictEqual(lab.size, 14); // 4 loopback contacts
+});
+
+test("evict passes over the spares the admission check turns down", () => {
+  const dht = new RoutingTable({ peerName: "owner", peerIP: "127.0.0.1", peerPort: 2, peerID: OWNER_ID }, { k: 2, identity: OWNER });
+  const dead = peerAt("203.0.113.8");
+  [peerAt("203.0.113.7"), dead].forEach(peer => handler.pushBucket(dht, peer));
+  const [fits, tooMany] = [peerAt("192.0.2.1"), peerAt("203.0.113.7")];
+  dht.addReplacement(fits);
+  dht.addReplacement(tooMany);
+
+  assert.strictEqual(dht.evict(dht.find(dead.peerID), (spare) => spare.peerIP !== "203.0.113.7").node, fits);
+  assert.deepStrictEqual(dht.replacements[0], [tooMany]);
+});
+
+test("long-lived peers survive twice as many missed pings", async (t) => {
+  let now = Date.now();
+  singleton.setClock({ now: () => now });
+  t.after(() => singleton.setClock({ now: () => Date.now() }));
+  handler.configure({ pingInterval: 1000, maxMissedPings: 1, longLivedAge: 60000 });
+  t.after(() => handler.configure({ pingInterval: 60000, maxMissedPings: 3, longLivedAge: 60 * 60 * 1000 }));
+
+  // Both listen nowhere: 127.0.0.1 refuses connections on port 1
+  const dht = newTable();
+  const veteran = Object.assign(peerAt("127.0.0.1"), { peerPort: 1 });
+  handler.pushBucket(dht, veteran);
+  now += 60000;
+  const newcomer = Object.assign(peerAt("127.0.0.1"), { peerPort: 1 });
+  handler.pushBucket(dht, newcomer);
+
+  now += 1000;
+  handler.sweepLiveness(dht);
+  await waitFor(() => !dht.find(newcomer.peerID));
+  assert.strictEqual(dht.find(veteran.peerID).missedPings, 1);
+
+  now += 1000;
+  handler.sweepLiveness(dht);
+  await waitFor(() => !dht.find(veteran.peerID));
+});
+
+test("contacts shared in a hello are added only once they answer as themselves", async (t) => {
+  handler.configure({ timeout: 100, retries: 0 });
+  t.after(() => handler.configure({ timeout: 1000, retries: 2 }));
+  const network = new transports.MemoryNetwork();
+  const [a, b, c] = ["a", "b", "c"].map(name => new KademliaNode({ name: name, transport: "memory", network: network }));
+  t.after(() => Promise.all([a, b, c].map(node => node.stop())));
+  await a.start({ host: "10.0.0.1", port: 4000 });
+  await b.start({ host: "10.0.0.2", port: 4000 });
+  await c.start({ host: "10.0.0.3", port: 4000 });
+
+  // c is real; the others are made up, one of them at c's address
+  const impostor = { peerName: "", peerIP: "10.0.0.3", peerPort: 4000, peerID: Identity.generate().id };
+  const ghost = { peerName: "", peerIP: "10.0.0.9", peerPort: 4000, peerID: Identity.generate().id };
+  await b.dht.rpc.hello(a.contact, { owner: b.contact, table: [c.contact, impostor, ghost].map(peer => ({ node: peer })) });
+
+  await waitFor(() => a.peers.length === 2);
+  await waitFor(() => !a.dht.contactChecks || a.dht.contactChecks.size === 0);
+  assert.deepStrictEqual(a.peers.map(peer => peer.peerID).sort(), [b.id, c.id].sort());
+  const checks = a.metrics.render();
+  assert.match(checks, /kad_contact_checks_total\{result="reachable"\} 1/);
+  assert.match(checks, /kad_contact_checks_total\{result="unreachable"\} 2/);
+});
+
+test("a hello over TCP reaches the receiver's table", async (t) => {
+  const [a, b] = ["a", "b"].map(name => new KademliaNode({ name: name, transport: "tcp" }));
+  t.after(() => Promise.all([a, b].map(node => node.stop())));
+  await a.start({ host: "127.0.0.1" });
+  await b.start({ host: "127.0.0.1" });
+
+  // The connection leaves from another port than b listens on; a checks b's contact there
+  assert.strictEqual(await b.dht.rpc.hello(a.contact, b.dht), true);
+  await waitFor(() => a.peers.length === 1);
+  assert.strictEqual(a.peers[0].peerID, b.id);
+  assert.strictEqual(a.peers[0].peerPort, b.contact.peerPort);
+});
+
+test("a requester claiming another address than its own is checked there first", async (t) => {
+  handler.configure({ timeout: 100, retries: 0 });
+  t.after(() => handler.configure({ timeout: 1000, retries: 2 }));
+  const network = new transports.MemoryNetwork();
+  const [a, b] = ["a", "b"].map(name => new KademliaNode({ name: name, transport: "memory", network: network }));
+  t.after(() => Promise.all([a, b].map(node => node.stop())));
+  await a.start({ host: "10.0.0.1", port: 4000 });
+  await b.start({ host: "10.0.0.2", port: 4000 });
+
+  // A peer at 10.0.0.3 signs its lookups with its own key but gives b's address as its own
+  const liar = Identity.generate();
+  const rpc = new Rpc({ peerName: "liar", peerIP: "10.0.0.2", peerPort: 4000, peerID: liar.id }, transports.create("memory", { network: network }), {}, { identity: liar, timeout: 100, retries: 0 });
+  await new Promise(resolve => rpc.transport.listen("10.0.0.3", 4000, resolve));
+  t.after(() => rpc.close());
+  assert.deepStrictEqual(await rpc.findNode(a.contact, liar.id), []);
+
+  // b does not answer as the liar, so the contact is never added
+  await waitFor(() => a.metrics.render().includes('kad_contact_checks_total{result="unreachable"} 1'));
+  assert.strictEqual(a.dht.find(liar.id), undefined);
+
+  // A lookup from the address it claims adds the requester right away
+  await b.dht.rpc.findNode(a.contact, b.id);
+  assert.ok(a.dht.find(b.id));
+});
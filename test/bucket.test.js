@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const handler = require("../KADNetworkManager");
+const RoutingTable = require("../KADRoutingTable");
+const singleton = require("../Singleton");
+const Identity = require("../KADIdentity");
+const { waitFor } = require("./helpers");
+
+const OWNER = Identity.generate();
+const OWNER_ID = OWNER.id;
+
+// A peer listening nowhere: 127.0.0.1 refuses connections on a port nobody listens on
+function deadPeer(n) {
+  return { peerName: "dead" + n, peerIP: "127.0.0.1", peerPort: 1, peerID: singleton.getRandomIDInBucket(OWNER_ID, 0) };
+}
+
+function newTable(k, identity = OWNER) {
+  return new RoutingTable({ peerName: "owner", peerIP: "127.0.0.1", peerPort: 2, peerID: identity.id }, { k: k, identity: identity });
+}
+
+// An identity whose ID falls in the owner's bucket 0
+function bucketZeroIdentity() {
+  let identity;
+  do identity = Identity.generate(); while (singleton.getBucketPrefix(OWNER_ID, identity.id) !== 0);
+  return identity;
+}
+
+function bucketIDs(dht, prefix) {
+  return dht.bucket(prefix).map(entry => entry.node.peerID);
+}
+
+
+test("pushBucket never adds the owner", () => {
+  const dht = newTable(2);
+  handler.pushBucket(dht, dht.owner);
+  assert.strictEqual(dht.size, 0);
+});
+
+test("pushBucket appends new peers while the bucket has room", () => {
+  const dht = newTable(3);
+  const peers = [deadPeer(1), deadPeer(2), deadPeer(3)];
+  peers.forEach(peer => handler.pushBucket(dht, peer));
+
+  assert.deepStrictEqual(bucketIDs(dht, 0), peers.map(peer => peer.peerID));
+  assert.deepStrictEqual(dht.replacements, {});
+});
+
+test("pushBucket moves a known peer to the most recently seen end", () => {
+  const dht = newTable(3);
+  const peers = [deadPeer(1), deadPeer(2), deadPeer(3)];
+  peers.forEach(peer => handler.pushBucket(dht, peer));
+  handler.pushBucket(dht, Object.assign({}, peers[0], { peerName: "renamed" }));
+
+  assert.deepStrictEqual(bucketIDs(dht, 0), [peers[1], peers[2], peers[0]].map(peer => peer.peerID));
+  assert.strictEqual(dht.find(peers[0].peerID).node.peerName, "renamed");
+});
+
+test("pushBucket replaces the stalest peer of a full bucket when it does not answer", async () => {
+  const dht = newTable(2);
+  const [stalest, other, newcomer] = [deadPeer(1), deadPeer(2), deadPeer(3)];
+  handler.pushBucket(dht, stalest);
+  handler.pushBucket(dht, other);
+  handler.pushBucket(dht, newcomer);
+
+  // The newcomer waits in the replacement cache while the stalest peer is pinged
+  assert.deepStrictEqual(bucketIDs(dht, 0), [stalest.peerID, other.peerID]);
+  assert.deepStrictEqual(dht.replacements[0].map(peer => peer.peerID), [newcomer.peerID]);
+
+  await waitFor(() => !dht.find(stalest.peerID));
+  assert.deepStrictEqual(bucketIDs(dht, 0), [other.peerID, newcomer.peerID]);
+  assert.deepStrictEqual(dht.replacements[0], []);
+});
+
+test("pushBucket keeps the stalest peer of a full bucket when it answers", async (t) => {
+  // The stalest peer is a real peer listening on loopback, so it answers the ping
+  const alive = newTable(20, bucketZeroIdentity());
+  alive.owner.peerPort = 0;
+  await new Promise(resolve => handler.listen(alive, resolve));
+  t.after(() => alive.rpc.close());
+  alive.owner.peerPort = alive.transport.server.address().port;
+
+  const dht = newTable(2);
+  const stalest = { peerName: "alive", peerIP: "127.0.0.1", peerPort: alive.owner.peerPort, peerID: alive.owner.peerID };
+  const [other, newcomer] = [deadPeer(2), deadPeer(3)];
+  handler.pushBucket(dht, stalest);
+  handler.pushBucket(dht, other);
+  handler.pushBucket(dht, newcomer);
+
+  await waitFor(() => bucketIDs(dht, 0)[1] === stalest.peerID);
+  assert.deepStrictEqual(bucketIDs(dht, 0), [other.peerID, stalest.peerID]);
+  assert.deepStrictEqual(dht.replacements[0].map(peer => peer.peerID), [newcomer.peerID]);
+});
+
+test("tables of the same process check their peers independently", async () => {
+  // Both tables know the same dead peer as the stalest of a full bucket
+  const [first, second] = [newTable(2), newTable(2)];
+  const [stalest, other] = [deadPeer(1), deadPeer(2)];
+  [first, second].forEach((dht, i) => {
+    [stalest, other, deadPeer(3 + i)].forEach(peer => handler.pushBucket(dht, peer));
+  });
+  assert.ok(first.pingsInFlight.has(stalest.peerID));
+  assert.ok(second.pingsInFlight.has(stalest.peerID));
+
+  await waitFor(() => !first.find(stalest.peerID) && !second.find(stalest.peerID));
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const ptpMessage = require("../KADPTP");
+const codec = require("../KADCodec");
+const singleton = require("../Singleton");
+const Identity = require("../KADIdentity");
+
+// A peer information object for the i-th test peer
+function peer(i) {
+  const ip = `10.${(i >> 8) & 255}.${i & 255}.1`;
+  const port = 3001 + i;
+  return { peerName: "peer" + i, peerIP: ip, peerPort: port, peerID: singleton.getPeerID(ip, port) };
+}
+
+// A DHT-like peer table, as KADPTP.init takes it
+function peerTable(ownerName, count) {
+  const owner = Object.assign(peer(0), { peerName: ownerName });
+  const table = [];
+  for (let i = 1; i <= count; i++) table.push({ node: peer(i) });
+  return { owner: owner, table: table };
+}
+
+function roundTrip(msgType, table, payload) {
+  ptpMessage.init(9, msgType, table, payload);
+  return codec.decode(ptpMessage.getPacket());
+}
+
+test("round-trips the header and peers list for 0 to 511 peers", () => {
+  for (const count of [0, 1, 2, 20, 255, 256, 510, 511]) {
+    const table = peerTable("owner", count);
+    const packet = roundTrip(ptpMessage.messageTypes.WELCOME, table);
+
+    assert.strictEqual(packet.version, codec.UNSIGNED_VERSION);
+    assert.strictEqual(packet.transactionID, 0);
+    assert.strictEqual(packet.msgType, ptpMessage.messageTypes.WELCOME);
+    assert.strictEqual(packet.senderName, "owner");
+    assert.deepStrictEqual(packet.peersList, table.table.map(entry => ({
+      peerIP: entry.node.peerIP, peerPort: entry.node.peerPort, peerID: entry.node.peerID,
+    })));
+  }
+});
+
+test("refuses more peers than the header can count", () => {
+  assert.throws(() => ptpMessage.init(9, ptpMessage.messageTypes.WELCOME, peerTable("owner", 512)), RangeError);
+});
+
+test("round-trips Unicode sender names", () => {
+  for (const name of ["", "server", "pëer-ü", "節點", "peer 🛰️", "a".repeat(4095)]) {
+    const packet = roundTrip(ptpMessage.messageTypes.HELLO, peerTable(name, 3));
+    assert.strictEqual(packet.senderName, name);
+    assert.strictEqual(packet.peersList.length, 3);
+  }
+});
+
+test("round-trips the key/value payload of every keyed message type", () => {
+  const key = singleton.getKeyID("colour");
+  const keyed = ["STORE", "FIND_VALUE", "VALUE", "FIND_NODE", "NODES"];
+  for (const type of keyed) {
+    const packet = roundTrip(ptpMessage.messageTypes[type], peerTable("owner", 2), { key: key, value: "bleu ciel ☁" });
+    assert.strictEqual(packet.key, key, type);
+    assert.strictEqual(packet.value, "bleu ciel ☁", type);
+    assert.strictEqual(packet.peersList.length, 2, type);
+  }
+});
+
+test("round-trips peer IDs of a configured width", (t) => {
+  t.after(() => singleton.setIDBits(160));
+  singleton.setIDBits(256);
+  const table = peerTable("owner", 4);
+  const packet = roundTrip(ptpMessage.messageTypes.NODES, table, { key: singleton.getKeyID("k") });
+
+  assert.strictEqual(packet.peersList[3].peerID.length, 64);
+  assert.deepStrictEqual(packet.peersList.map(p => p.peerID), table.table.map(entry => entry.node.peerID));
+});
+
+test("carries transaction IDs, and still decodes version 9 packets without one", () => {
+  ptpMessage.init(9, ptpMessage.messageTypes.FIND_NODE, peerTable("owner", 1), { key: singleton.getKeyID("k") });
+  const packet = ptpMessage.getPacket();
+  const stamped = codec.withTransactionID(packet, 0xdeadbeef);
+
+  assert.strictEqual(codec.decode(stamped).transactionID, 0xdeadbeef);
+  assert.strictEqual(codec.decode(packet).transactionID, 0); // The original is left alone
+
+  const legacy = Buffer.concat([stamped.slice(0, 4), stamped.slice(8)]);
+  legacy[0] = (legacy[0] & 0x0f) | (codec.LEGACY_VERSION << 4);
+  const decoded = codec.decode(legacy);
+  assert.strictEqual(decoded.version, codec.LEGACY_VERSION);
+  assert.strictEqual(decoded.transactionID, 0);
+  assert.strictEqual(decoded.key, singleton.getKeyID("k"));
+});
+
+test("rejects malformed packets with typed errors", () => {
+  ptpMessage.init(9, ptpMessage.messageTypes.STORE, peerTable("owner", 1), { key: singleton.getKeyID("k"), value: "v" });
+  const good = ptpMessage.getPacket();
+
+  assert.throws(() => codec.decode(good.slice(0, 3)), codec.Truncated);
+  assert.throws(() => codec.decode(good.slice(0, 12)), codec.Truncated);
+  assert.throws(() => codec.decode(good.slice(0, good.length - 1)), codec.Truncated);
+  assert.throws(() => codec.decode(Buffer.concat([good, Buffer.from([0])])), codec.Malformed);
+
+  const badVersion = Buffer.from(good);
+  badVersion[0] = (badVersion[0] & 0x0f) | 0x40;
+  assert.throws(() => codec.decode(badVersion), codec.BadVersion);
+
+  const unknownType = Buffer.from(good);
+  unknownType[0] |= 0x0f;
+  unknownType[1] |= 0xe0;
+  assert.throws(() => codec.decode(unknownType), codec.UnknownType);
+});
+
+test("signed packets carry the sender's key, which proves its ID", () => {
+  const identity = Identity.generate();
+  ptpMessage.init(9, ptpMessage.messageTypes.FIND_NODE, peerTable("owner", 1), { key: singleton.getKeyID("k") });
+  const signed = codec.sign(codec.withTransactionID(ptpMessage.getPacket(), 42), identity);
+
+  const packet = codec.decode(signed);
+  assert.strictEqual(packet.version, codec.VERSION);
+  assert.strictEqual(packet.transactionID, 42);
+  assert.strictEqual(packet.key, singleton.getKeyID("k"));
+  assert.deepStrictEqual(packet.senderKey, identity.publicKey);
+  assert.strictEqual(packet.senderID, identity.id);
+  assert.strictEqual(codec.decode(ptpMessage.getPacket()).senderID, null);
+
+  // Any byte changed, the key included, breaks the signature
+  for (const offset of [4, 10, signed.length - 70, signed.length - 1]) {
+    const tampered = Buffer.from(signed);
+    tampered[offset] ^= 1;
+    assert.throws(() => codec.decode(tampered), codec.BadSignature);
+  }
+  assert.throws(() => codec.decode(signed.slice(0, 50)), codec.Truncated);
+  assert.throws(() => codec.withTransactionID(signed, 43), /signed/);
+  assert.throws(() => codec.sign(signed, identity), /unsigned/);
+});
+
+test("round-trips the session key of handshake messages", () => {
+  const sessionKey = Buffer.alloc(32, 7);
+  for (const type of ["HANDSHAKE", "SESSION"]) {
+    const packet = roundTrip(ptpMessage.messageTypes[type], peerTable("owner", 0), { sessionKey: sessionKey });
+    assert.deepStrictEqual(packet.sessionKey, sessionKey, type);
+  }
+  assert.throws(() => ptpMessage.init(9, ptpMessage.messageTypes.HANDSHAKE, peerTable("owner", 0)), RangeError);
+  assert.throws(() => ptpMessage.init(9, ptpMessage.messageTypes.HANDSHAKE, peerTable("owner", 0), { sessionKey: sessionKey.slice(1) }), RangeError);
+});
+
+test("round-trips the error payload, and peeks at transaction IDs", () => {
+  const packet = roundTrip(ptpMessage.messageTypes.ERROR, peerTable("owner", 0), { errorCode: codec.errorCodes.RATE_LIMITED, retryAfter: 3, reason: "Slow down" });
+  assert.strictEqual(packet.errorCode, codec.errorCodes.RATE_LIMITED);
+  assert.strictEqual(packet.retryAfter, 3);
+  assert.strictEqual(packet.reason, "Slow down");
+  assert.throws(() => ptpMessage.init(9, ptpMessage.messageTypes.ERROR, peerTable("owner", 0)), RangeError);
+  assert.throws(() => ptpMessage.init(9, ptpMessage.messageTypes.ERROR, peerTable("owner", 0), { errorCode: 1, reason: "x".repeat(256) }), RangeError);
+
+  ptpMessage.init(9, ptpMessage.messageTypes.PING, peerTable("owner", 0));
+  const stamped = codec.withTransactionID(ptpMessage.getPacket(), 0xcafe);
+  assert.strictEqual(codec.peekTransactionID(stamped), 0xcafe);
+  assert.strictEqual(codec.peekTransactionID(codec.sign(stamped, Identity.generate())), 0xcafe);
+  assert.strictEqual(codec.peekTransactionID(Buffer.from([codec.ENCRYPTED_VERSION << 4, 0, 0, 0, 0, 0, 0xca, 0xfe])), 0);
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const config = require("../KADConfig");
+
+// Writes a config file into a fresh temporary directory and returns its path
+function configFile(t, name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kad-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("command line options are parsed, in long, inline and short forms", () => {
+  const settings = config.load([
+    "--host", "10.0.0.5", "--port=4000", "-p", "10.0.0.6:4000", "--bootstrap", "10.0.0.7:4001",
+    "--k", "8", "--alpha", "2", "--id-bits", "256", "--log-level", "debug", "--data-dir", "/var/kad", "-n", "lab-1", "--shell",
+  ]);
+  assert.deepStrictEqual(settings, {
+    name: "lab-1", host: "10.0.0.5", port: 4000, bootstrap: ["10.0.0.6:4000", "10.0.0.7:4001"],
+    k: 8, alpha: 2, idBits: 256, logLevel: "debug", logFormat: "text", dataDir: "/var/kad", adminPort: null, adminToken: null, metricsPort: null, metricsHost: "127.0.0.1", encrypt: false,
+    rateLimit: 50, maxMessageSize: 131072, maxConnections: 256, unlimitedSubnets: ["127.0.0.0/8"], shell: true,
+  });
+  assert.deepStrictEqual(config.load([]), config.defaults);
+  assert.deepStrictEqual(config.load(["--port", "4000", "-h"]), { help: true });
+});
+
+test("invalid options are reported", () => {
+  const invalid = [
+    ["--verbose"], ["--port"], ["--port", "70000"], ["--k", "0"], ["--id-bits", "12"],
+    ["--host", "localhost"], ["--host", "0.0.0.0"], ["-p", "10.0.0.6"], ["--log-level", "loud"], ["stray"],
+    ["--unlimited-subnet", "192.168.0.0/33"], ["--unlimited-subnet", "fe80::/10"], ["--metrics-host", "monitoring.lan"],
+  ];
+  invalid.forEach(argv => assert.throws(() => config.load(argv), config.ConfigError, argv.join(" ")));
+});
+
+test("the command line takes precedence over the config file, which takes precedence over the defaults", (t) => {
+  const file = configFile(t, "peer.yml", [
+    "# A lab peer",
+    "host: 10.0.0.5",
+    "port: 4000   # fixed",
+    "name: \"lab # 1\"",
+    "bootstrap:",
+    "  - 10.0.0.6:4000",
+    "  - '10.0.0.7:4001'",
+    "",
+  ].join("\n"));
+
+  const fromFile = config.load(["--config", file]);
+  assert.strictEqual(fromFile.host, "10.0.0.5");
+  assert.strictEqual(fromFile.port, 4000);
+  assert.strictEqual(fromFile.name, "lab # 1");
+  assert.deepStrictEqual(fromFile.bootstrap, ["10.0.0.6:4000", "10.0.0.7:4001"]);
+  assert.strictEqual(fromFile.k, config.defaults.k);
+
+  const overridden = config.load(["-c", file, "--port", "5000", "-p", "10.0.0.8:4000"]);
+  assert.strictEqual(overridden.host, "10.0.0.5");
+  assert.strictEqual(overridden.port, 5000);
+  assert.deepStrictEqual(overridden.bootstrap, ["10.0.0.8:4000"]);
+});
+
+test("JSON config files are read, and invalid ones reported", (t) => {
+  const file = configFile(t, "peer.json", JSON.stringify({ "port": 4000, "id-bits": 256, "bootstrap": "10.0.0.6:4000" }));
+  const settings = config.load(["-c", file]);
+  assert.strictEqual(settings.idBits, 256);
+  assert.deepStrictEqual(settings.bootstrap, ["10.0.0.6:4000"]);
+
+  assert.throws(() => config.load(["-c", configFile(t, "bad.json", "{ port: 4000 }")]), /Invalid JSON/);
+  assert.throws(() => config.load(["-c", configFile(t, "bad.yml", "verbose: true\n")]), /Unknown setting verbose/);
+  assert.throws(() => config.load(["-c", configFile(t, "bad.yml", "port: 99999\n")]), /Invalid port/);
+  assert.throws(() => config.load(["-c", configFile(t, "bad.yml", "  - 10.0.0.6:4000\n")]), /line 1/);
+  assert.throws(() => config.load(["-c", "/nonexistent/peer.yml"]), config.ConfigError);
+});
+
+test("the YAML subset supports flow lists and plain scalars", () => {
+  assert.deepStrictEqual(config.parseYaml("bootstrap: [10.0.0.6:4000, \"10.0.0.7:4001\"]\nk: 8\nempty: []\nnone: ~\n"), {
+    bootstrap: ["10.0.0.6:4000", "10.0.0.7:4001"], k: 8, empty: [], none: null,
+  });
+});
@@ -0,0 +1,46 @@
+// Fixtures shared by the test files. Requiring this module also keeps the loggers, which
+// write through console.log, quiet in every test of the requiring file.
+const test = require("node:test");
+
+const Rpc = require("../KADRpc");
+const transports = require("../KADTransport");
+const Identity = require("../KADIdentity");
+
+test.beforeEach((t) => t.mock.method(console, "log", () => {}));
+
+// The identity of the test peer at each address
+const identities = {};
+function identity(ip) {
+  return identities[ip] || (identities[ip] = Identity.generate());
+}
+
+// The peer information object of the test peer at an address, on port 4000
+function owner(ip) {
+  return { peerName: ip, peerIP: ip, peerPort: 4000, peerID: identity(ip).id };
+}
+
+// An Rpc on a memory transport listening at `ip`, handing requests to `onRequest`
+async function node(network, ip, onRequest, options) {
+  const rpc = new Rpc(owner(ip), transports.create("memory", { network: network }), { onRequest: onRequest }, Object.assign({ identity: identity(ip) }, options));
+  await new Promise(resolve => rpc.transport.listen(ip, 4000, resolve));
+  return rpc;
+}
+
+// Resolves once check() holds, polling; most outcomes wait on a ping or a lookup to settle
+function waitFor(check) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + 3000;
+    (function poll() {
+      if (check()) return resolve();
+      if (Date.now() > deadline) return reject(new Error("Timed out waiting for the peers to settle"));
+      setTimeout(poll, 10);
+    })();
+  });
+}
+
+module.exports = {
+  identity: identity,
+  owner: owner,
+  node: node,
+  waitFor: waitFor,
+};
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Identity = require("../KADIdentity");
+const KademliaNode = require("../KADNode");
+const storage = require("../KADStorage");
+const transports = require("../KADTransport");
+const singleton = require("../Singleton");
+require("./helpers"); // Keeps the loggers quiet
+
+test("the ID of an identity is the hash of its public key", () => {
+  const identity = Identity.generate();
+  assert.strictEqual(identity.publicKey.length, Identity.PUBLIC_KEY_SIZE);
+  assert.strictEqual(identity.id, singleton.hashToID(identity.publicKey));
+  assert.strictEqual(identity.id.length, singleton.getIDBytes() * 2);
+  assert.notStrictEqual(Identity.generate().id, identity.id);
+});
+
+test("signatures verify against the signer's key only", () => {
+  const identity = Identity.generate();
+  const data = Buffer.from("hello");
+  const signature = identity.sign(data);
+  assert.strictEqual(signature.length, Identity.SIGNATURE_SIZE);
+
+  assert.ok(Identity.verify(identity.publicKey, data, signature));
+  assert.ok(!Identity.verify(identity.publicKey, Buffer.from("hellO"), signature));
+  assert.ok(!Identity.verify(Identity.generate().publicKey, data, signature));
+  assert.ok(!Identity.verify(identity.publicKey.slice(1), data, signature));
+  assert.ok(!Identity.verify(identity.publicKey, data, signature.slice(1)));
+});
+
+test("an identity survives a PEM round trip", () => {
+  const identity = Identity.generate();
+  const copy = Identity.fromPem(identity.toPem());
+  assert.strictEqual(copy.id, identity.id);
+  assert.ok(Identity.verify(identity.publicKey, Buffer.from("x"), copy.sign(Buffer.from("x"))));
+  assert.throws(() => Identity.fromPem(require("crypto").generateKeyPairSync("x25519").privateKey.export({ type: "pkcs8", format: "pem" })), /Ed25519/);
+});
+
+test("a node keeps its key, readable by its owner only, in its data directory", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kad-key-"));
+  const node = new KademliaNode({ transport: "memory", network: new transports.MemoryNetwork(), dataDir: dir });
+  t.after(() => node.stop().then(() => fs.rmSync(dir, { recursive: true, force: true })));
+  await node.start({ host: "10.0.0.1" });
+
+  const file = path.join(dir, storage.files.key);
+  assert.strictEqual(Identity.fromPem(fs.readFileSync(file, "utf8")).id, node.id);
+  if (process.platform !== "win32") assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const logger = require("../KADLogger");
+
+// Collects the lines logged while a test runs, restoring the defaults afterwards
+function capture(t, options) {
+  const lines = [];
+  logger.configure(Object.assign({ write: (line) => lines.push(line) }, options));
+  t.after(() => logger.configure({ level: "info", format: "text", write: (line) => console.log(line) }));
+  return lines;
+}
+
+test("events are logged as readable lines, filtered by level", (t) => {
+  const lines = capture(t, { level: "warn" });
+  const log = logger.create("bucket");
+
+  log.info("peer-added", "Peer {peer} is added to bucket P{bucket}", { peer: "ab", bucket: 3 });
+  log.warn("ping-missed", "Peer {peer} missed {missed} ping(s) in {nowhere}", { peer: "ab", missed: 2 });
+  log.error("socket-error", "Socket closed");
+  assert.deepStrictEqual(lines, [
+    "warn  [bucket] Peer ab missed 2 ping(s) in {nowhere}",
+    "error [bucket] Socket closed",
+  ]);
+});
+
+test("events are logged as JSON lines with their fields", (t) => {
+  const lines = capture(t, { level: "debug", format: "json" });
+
+  logger.create("bucket").info("peer-replaced", "Peer {replacement} replaces peer {peer} in bucket P{bucket}", {
+    replacement: "cd", peer: "ab", bucket: 3,
+  });
+  const record = JSON.parse(lines[0]);
+  assert.ok(!isNaN(Date.parse(record.time)));
+  delete record.time;
+  assert.deepStrictEqual(record, {
+    level: "info", tag: "bucket", event: "peer-replaced", msg: "Peer cd replaces peer ab in bucket P3",
+    replacement: "cd", peer: "ab", bucket: 3,
+  });
+});
+
+test("fields cannot overwrite the keys every JSON line carries", (t) => {
+  const lines = capture(t, { format: "json" });
+
+  logger.create("rpc").warn("peer-refused", "Refusing {what}", { what: "a message", level: "debug", tag: "store", event: "forged", msg: "fine", time: 0, limit: "rate" });
+  const record = JSON.parse(lines[0]);
+  assert.ok(!isNaN(Date.parse(record.time)));
+  delete record.time;
+  assert.deepStrictEqual(record, { level: "warn", tag: "rpc", event: "peer-refused", msg: "Refusing a message", what: "a message", limit: "rate" });
+});
+
+test("unknown levels and formats are rejected", () => {
+  assert.throws(() => logger.configure({ level: "verbose" }), RangeError);
+  assert.throws(() => logger.configure({ format: "xml" }), RangeError);
+});
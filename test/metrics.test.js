@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const metrics = require("../KADMetrics");
+const KademliaNode = require("../KADNode");
+const transports = require("../KADTransport");
+require("./helpers"); // Keeps the loggers quiet
+
+test("registries render counters, gauges and histograms in the Prometheus text format", () => {
+  const registry = new metrics.Registry();
+  const requests = registry.counter("kad_requests_total", "Requests sent", ["type"]);
+  requests.inc({ type: "PING" });
+  requests.inc({ type: "PING" }, 2);
+  assert.strictEqual(registry.counter("kad_requests_total", "Another help"), requests);
+  registry.counter("kad_errors_total", "Errors");
+  registry.gauge("kad_peer_name", "Peer names", ["name"], (gauge) => gauge.set({ name: 'a "b"\\c' }, 1));
+  registry.histogram("kad_latency_seconds", "Latency", [], [0.1, 1]).observe(0.5);
+
+  assert.strictEqual(registry.render(), [
+    "# HELP kad_requests_total Requests sent",
+    "# TYPE kad_requests_total counter",
+    'kad_requests_total{type="PING"} 3',
+    "# HELP kad_errors_total Errors",
+    "# TYPE kad_errors_total counter",
+    "kad_errors_total 0",
+    "# HELP kad_peer_name Peer names",
+    "# TYPE kad_peer_name gauge",
+    'kad_peer_name{name="a \\"b\\"\\\\c"} 1',
+    "# HELP kad_latency_seconds Latency",
+    "# TYPE kad_latency_seconds histogram",
+    'kad_latency_seconds_bucket{le="0.1"} 0',
+    'kad_latency_seconds_bucket{le="1"} 1',
+    'kad_latency_seconds_bucket{le="+Inf"} 1',
+    "kad_latency_seconds_sum 0.5",
+    "kad_latency_seconds_count 1",
+    "",
+  ].join("\n"));
+
+  assert.throws(() => requests.inc(), /takes the labels type/);
+  assert.throws(() => requests.inc({ type: "PING" }, -1), RangeError);
+});
+
+test("nodes count their table, requests and traffic, exported over HTTP", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const seed = new KademliaNode({ name: "seed", transport: "memory", network: network });
+  const node = new KademliaNode({ name: "a", transport: "memory", network: network });
+  await seed.start({ host: "10.0.0.1", port: 4000 });
+  await node.start({ host: "10.0.0.2", port: 4000, bootstrap: ["10.0.0.1:4000", "10.0.0.9:4000"] });
+  const exporter = metrics.createExporter(node.metrics);
+  const { port } = await exporter.start();
+  t.after(async () => { await exporter.stop(); await node.stop(); await seed.stop(); });
+  await node.put("colour", "blue");
+
+  const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+  assert.match(response.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+  const text = await response.text();
+  const sample = (line) => Number(text.match(new RegExp(`^${line.replace(/[{}]/g, "\\$&")} (\\S+)$`, "m"))[1]);
+
+  assert.strictEqual(sample("kad_routing_table_contacts"), 1);
+  assert.strictEqual(sample("kad_bucket_insertions_total"), 1);
+  assert.strictEqual(sample('kad_store_values{origin="published"}'), 1);
+  assert.strictEqual(sample('kad_rpc_requests_total{type="PING"}'), 2);
+  assert.strictEqual(sample('kad_rpc_failures_total{type="PING"}'), 1); // The dead seed
+  assert.strictEqual(sample('kad_rpc_latency_seconds_count{type="PING"}'), 1);
+  assert.strictEqual(sample('kad_messages_sent_total{type="STORE"}'), 1);
+  assert.ok(sample('kad_bytes_sent_total{type="HELLO"}') > 0);
+  assert.ok(sample('kad_messages_received_total{type="PONG"}') >= 1);
+
+  assert.strictEqual((await fetch(`http://127.0.0.1:${port}/`)).status, 404);
+});
+
+test("the exporter listens on the interface it is given", async (t) => {
+  const exporter = metrics.createExporter(new metrics.Registry(), { host: "0.0.0.0" });
+  const { host, port } = await exporter.start();
+  t.after(() => exporter.stop());
+  assert.strictEqual(host, "0.0.0.0");
+  assert.strictEqual((await fetch(`http://127.0.0.1:${port}/metrics`)).status, 200); // Every interface, loopback included
+});
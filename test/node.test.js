@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const KademliaNode = require("../KADNode");
+const transports = require("../KADTransport");
+const codec = require("../KADCodec");
+const singleton = require("../Singleton");
+require("./helpers"); // Keeps the loggers quiet
+
+test("embedded nodes join, store and find values, and report what they see", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const nodes = ["seed", "a", "b"].map(name => new KademliaNode({ name: name, k: 4, transport: "memory", network: network }));
+  t.after(() => Promise.all(nodes.map(node => node.stop())));
+
+  const added = [];
+  const messages = [];
+  nodes[0].on("peer-added", (peer) => added.push(peer.peerName));
+  nodes[0].on("message", (packet, from) => messages.push(packet.msgType));
+
+  await nodes[0].start({ host: "10.0.0.1", port: 4000 });
+  await nodes[1].start({ host: "10.0.0.2", port: 4000, bootstrap: "10.0.0.1:4000" });
+  // Any node is a seed, and a seed that is down is skipped
+  await nodes[2].start({ host: "10.0.0.3", port: 4000, bootstrap: ["10.0.0.9:4000", { host: "10.0.0.2", port: 4000 }] });
+  await assert.rejects(nodes[2].start({ host: "10.0.0.3", port: 4000 }), /already started/);
+
+  assert.deepStrictEqual(added.sort(), ["a", "b"]);
+  assert.ok(!nodes[2].peers.some(peer => peer.peerIP === "10.0.0.9"));
+  assert.ok(messages.includes(codec.messageTypes.FIND_NODE)); // The self lookups of the joining peers
+
+  const contacts = await nodes[1].findNode(nodes[2].id);
+  assert.strictEqual(contacts[0].peerID, nodes[2].id);
+
+  await nodes[1].put("colour", "blue");
+  assert.strictEqual(await nodes[2].get("colour"), "blue");
+
+  const evicted = [];
+  nodes[0].on("peer-evicted", (peer) => evicted.push(peer.peerName));
+  nodes[0].dht.evict(nodes[0].dht.find(nodes[1].id));
+  assert.deepStrictEqual(evicted, ["a"]);
+  assert.deepStrictEqual(nodes[0].peers.map(peer => peer.peerName), ["b"]);
+
+  // A seed known by a host name would never get its replies taken in, they come from its address
+  await assert.rejects(nodes[2].bootstrap("localhost:4000"), /expected an IPv4 address/);
+
+  await nodes[2].stop();
+  assert.throws(() => nodes[2].get("colour"), /not started/);
+});
+
+test("a node stopped during a lookup releases its socket", async () => {
+  const node = new KademliaNode({ name: "quitter", transport: "udp" });
+  await node.start({ host: "127.0.0.1" });
+
+  // Nobody listens on these ports, so the lookup waits on every one of them in turn
+  for (let port = 1; port <= 10; port++) {
+    node.dht.insert({ peerName: "", peerIP: "127.0.0.1", peerPort: port, peerID: singleton.getRandomIDInBucket(node.id, port) });
+  }
+  const lookup = node.findNode(node.id);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await node.stop();
+
+  assert.deepStrictEqual(await lookup, []);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(!process.getActiveResourcesInfo().includes("UDPWrap"), process.getActiveResourcesInfo().join(", "));
+});
+
+test("a node listens on IPv4 addresses only, and its lookups outlive requests it cannot build", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const node = new KademliaNode({ name: "named", transport: "memory", network: network });
+  await assert.rejects(node.start({ host: "localhost", bootstrap: "10.0.0.2:4000" }), /Invalid host localhost/);
+  assert.strictEqual(node.dht, null);
+
+  // The contact every lookup request carries cannot be encoded any more
+  await node.start({ host: "10.0.0.1", port: 4000 });
+  t.after(() => node.stop());
+  node.dht.owner.peerIP = "localhost";
+  node.dht.insert({ peerName: "", peerIP: "10.0.0.2", peerPort: 4000, peerID: singleton.getRandomIDInBucket(node.id, 0) });
+  assert.deepStrictEqual(await node.findNode(node.id), []);
+});
+
+test("embedded nodes keep their own k, alpha and transaction IDs", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const first = new KademliaNode({ k: 4, alpha: 1, transport: "memory", network: network });
+  await first.start({ host: "10.0.0.1", port: 4000 });
+  t.after(() => first.stop());
+  const lastID = first.dht.rpc.nextTransactionID();
+
+  const second = new KademliaNode({ k: 8, alpha: 5, transport: "memory", network: network });
+  await second.start({ host: "10.0.0.2", port: 4000 });
+  t.after(() => second.stop());
+
+  assert.deepStrictEqual([first.dht.k, first.dht.alpha], [4, 1]);
+  assert.deepStrictEqual([second.dht.k, second.dht.alpha], [8, 5]);
+  assert.strictEqual(first.dht.rpc.nextTransactionID(), (lastID + 1) >>> 0 || 1);
+});
@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+
+const RateLimiter = require("../KADRateLimiter");
+const Rpc = require("../KADRpc");
+const transports = require("../KADTransport");
+const framing = require("../KADFraming");
+const codec = require("../KADCodec");
+const singleton = require("../Singleton");
+const metrics = require("../KADMetrics");
+const { identity, owner, node } = require("./helpers");
+
+// An Rpc on a memory transport listening at `ip`, answering pings
+function pingable(network, ip, options) {
+  return node(network, ip, (packet, from, reply) => {
+    if (packet.msgType === codec.messageTypes.PING) reply(codec.encode({ msgType: codec.messageTypes.PONG, senderName: ip }));
+  }, Object.assign({ metrics: new metrics.Registry() }, options));
+}
+
+test("token buckets refuse an address over its rate until tokens come back", (t) => {
+  let now = 1000000;
+  singleton.setClock({ now: () => now });
+  t.after(() => singleton.setClock({ now: () => Date.now() }));
+
+  const limiter = new RateLimiter({ rate: 2, burst: 3 });
+  assert.deepStrictEqual([1, 2, 3, 4].map(() => limiter.take("203.0.113.1")), [true, true, true, false]);
+  assert.strictEqual(limiter.take("203.0.113.2"), true); // Every address has its own bucket
+  assert.strictEqual(limiter.retryAfter("203.0.113.1"), 500);
+
+  // The address is told once, not once per refused message
+  assert.strictEqual(limiter.tell("203.0.113.1"), true);
+  assert.strictEqual(limiter.tell("203.0.113.1"), false);
+
+  now += 500;
+  assert.strictEqual(limiter.take("203.0.113.1"), true);
+  assert.strictEqual(limiter.take("203.0.113.1"), false);
+  assert.strictEqual(limiter.tell("203.0.113.1"), true);
+});
+
+test("token buckets track a bounded number of addresses", () => {
+  const limiter = new RateLimiter({ rate: 1, burst: 1, maxTracked: 2 });
+  ["203.0.113.1", "203.0.113.2", "203.0.113.3"].forEach(address => limiter.take(address));
+  assert.strictEqual(limiter.size, 2);
+});
+
+test("a peer over its rate gets one polite error, then nothing", async () => {
+  const network = new transports.MemoryNetwork();
+  const serverMetrics = new metrics.Registry();
+  const server = await pingable(network, "10.0.0.1", { rateLimit: 1, rateBurst: 2, metrics: serverMetrics });
+  const clientMetrics = new metrics.Registry();
+  const client = await pingable(network, "10.0.0.2", { timeout: 50, retries: 0, metrics: clientMetrics });
+
+  assert.strictEqual(await client.ping(server.owner), true);
+  assert.strictEqual(await client.ping(server.owner), true);
+
+  // The ERROR fails the request at once, well before its timeout
+  const refusals = [];
+  client.on("message", (packet) => refusals.push(packet));
+  const startedAt = Date.now();
+  assert.strictEqual(await client.ping(server.owner), false);
+  assert.ok(Date.now() - startedAt < 50);
+  assert.strictEqual(refusals[0].msgType, codec.messageTypes.ERROR);
+  assert.strictEqual(refusals[0].errorCode, codec.errorCodes.RATE_LIMITED);
+  assert.strictEqual(refusals[0].retryAfter, 1);
+  assert.strictEqual(refusals[0].senderID, server.owner.peerID);
+
+  assert.strictEqual(await client.ping(server.owner), false); // Timed out, not told again
+  assert.strictEqual(refusals.length, 1);
+  assert.match(serverMetrics.render(), /kad_rejections_total\{reason="rate"\} 2/);
+  assert.match(clientMetrics.render(), /kad_rpc_refusals_total\{type="PING"\} 1/);
+  assert.match(clientMetrics.render(), /kad_rpc_timeouts_total\{type="PING"\} 1/);
+});
+
+test("replies to the peer's own requests are not counted against the replier's rate", async () => {
+  const network = new transports.MemoryNetwork();
+  const serverMetrics = new metrics.Registry();
+  const server = await pingable(network, "10.0.0.1", { rateLimit: 1, rateBurst: 1, metrics: serverMetrics });
+  const client = await pingable(network, "10.0.0.2", { timeout: 200, retries: 0 });
+
+  for (let i = 0; i < 3; i++) assert.strictEqual(await server.ping(client.owner), true);
+  assert.doesNotMatch(serverMetrics.render(), /kad_rejections_total\{reason="rate"\}/);
+
+  // Requests from the same address still are
+  assert.strictEqual(await client.ping(server.owner), true);
+  assert.strictEqual(await client.ping(server.owner), false);
+  assert.match(serverMetrics.render(), /kad_rejections_total\{reason="rate"\} 1/);
+});
+
+test("an ERROR only fails a request when it comes from the peer the request went to", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await pingable(network, "10.0.0.1");
+  const client = await pingable(network, "10.0.0.2", { timeout: 200, retries: 0 });
+  const other = await pingable(network, "10.0.0.3");
+
+  // The other peer echoes the transaction ID the client's ping is about to take
+  const ping = client.ping(server.owner);
+  const error = codec.encode({ msgType: codec.messageTypes.ERROR, senderName: "10.0.0.3", errorCode: codec.errorCodes.RATE_LIMITED });
+  const signed = codec.sign(codec.withTransactionID(error, client.lastTransactionID), identity("10.0.0.3"));
+  await new Promise(resolve => other.transport.send(client.owner, signed, {}, resolve));
+  assert.strictEqual(await ping, true);
+});
+
+test("a refused reply does not echo its transaction ID", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await pingable(network, "10.0.0.1", { rateLimit: 1, rateBurst: 1 });
+  const client = await pingable(network, "10.0.0.2");
+  const refusals = [];
+  client.on("message", (packet) => packet.msgType === codec.messageTypes.ERROR && refusals.push(packet));
+
+  // Two replies the server never asked for: the second is over its rate
+  const pong = codec.withTransactionID(codec.encode({ msgType: codec.messageTypes.PONG, senderName: "10.0.0.2" }), 7);
+  for (let i = 0; i < 2; i++) await new Promise(resolve => client.transport.send(server.owner, codec.sign(pong, identity("10.0.0.2")), {}, resolve));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(refusals.length, 1);
+  assert.strictEqual(refusals[0].transactionID, 0);
+});
+
+test("messages larger than the limit are refused before they are decoded", async () => {
+  const network = new transports.MemoryNetwork();
+  const serverMetrics = new metrics.Registry();
+  const server = await pingable(network, "10.0.0.1", { maxMessageSize: 64, metrics: serverMetrics });
+  const client = await pingable(network, "10.0.0.2", { timeout: 1000 });
+
+  const refusals = [];
+  client.on("message", (packet) => refusals.push(packet));
+  assert.strictEqual(await client.ping(server.owner), false);
+  assert.strictEqual(refusals[0].errorCode, codec.errorCodes.TOO_LARGE);
+  assert.match(serverMetrics.render(), /kad_rejections_total\{reason="size"\} 1/);
+});
+
+// Connects to a TCP transport and resolves with the packets it writes before closing
+function connect(port, write) {
+  return new Promise(resolve => {
+    const packets = [];
+    const socket = net.connect(port, "127.0.0.1", () => write && socket.write(write));
+    framing.attach(socket, (packet) => packets.push(String(packet)));
+    socket.on("error", () => {});
+    socket.on("close", () => resolve(packets));
+  });
+}
+
+test("TCP caps connections, closes idle ones and refuses oversized frames", async (t) => {
+  const refused = [];
+  const server = new transports.TcpTransport({ timeout: 100, maxConnectionsPerIP: 1, maxMessageSize: 16 });
+  server.handlers = {
+    greeting: () => Buffer.from("welcome"),
+    onPacket: () => {},
+    refuse: (from, reason) => {
+      refused.push(reason);
+      return reason === "idle" ? null : Buffer.from("no: " + reason);
+    },
+  };
+  await new Promise(resolve => server.listen("127.0.0.1", 0, resolve));
+  t.after(() => server.close());
+  const port = server.server.address().port;
+
+  // The first connection sits idle while the second one is turned away
+  const idle = connect(port);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(await connect(port), ["no: connections"]);
+  assert.deepStrictEqual(await idle, ["welcome"]);
+
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(1024 * 1024, 0);
+  assert.deepStrictEqual(await connect(port, header), ["welcome", "no: size"]);
+  assert.deepStrictEqual(refused, ["connections", "idle", "size"]);
+  while (server.openConnections() > 0) await new Promise(resolve => setTimeout(resolve, 10)); // The server's side closes last
+});
+
+test("a refused connection's error reaches the requester", async (t) => {
+  const transport = transports.create("tcp");
+  const server = new Rpc(owner("127.0.0.1"), transport, { greeting: () => codec.encode({ msgType: codec.messageTypes.WELCOME, senderName: "server" }) }, { identity: identity("127.0.0.1") });
+  await new Promise(resolve => transport.listen("127.0.0.1", 0, resolve));
+  t.after(() => server.close());
+  transport.maxConnections = 0;
+
+  const clientTransport = transports.create("tcp");
+  const client = new Rpc(owner("127.0.0.2"), clientTransport, {}, { identity: identity("127.0.0.2"), timeout: 200, retries: 0 });
+  const refusals = [];
+  client.on("message", (packet) => refusals.push(packet));
+  assert.strictEqual(await client.ping({ peerIP: "127.0.0.1", peerPort: transport.server.address().port }), false);
+  assert.strictEqual(refusals[0].errorCode, codec.errorCodes.BUSY);
+});
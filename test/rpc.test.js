@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const Rpc = require("../KADRpc");
+const transports = require("../KADTransport");
+const ptpMessage = require("../KADPTP");
+const codec = require("../KADCodec");
+const Identity = require("../KADIdentity");
+const metrics = require("../KADMetrics");
+const { identity, owner, node } = require("./helpers");
+
+// Answers 'find node' requests with a contact derived from the target, after `delay(target)` milliseconds
+function nodes(delay) {
+  return (packet, from, reply) => setTimeout(() => {
+    const contact = owner("10.9.9." + parseInt(packet.key.slice(0, 2), 16));
+    ptpMessage.init(9, ptpMessage.messageTypes.NODES, { owner: owner("10.0.0.1"), table: [{ node: contact }] }, { key: packet.key });
+    reply(ptpMessage.getPacket());
+  }, delay(packet.key));
+}
+
+test("replies are matched with their requests by transaction ID", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await node(network, "10.0.0.1", nodes(key => (key === "01".repeat(20) ? 30 : 0)));
+  const client = await node(network, "10.0.0.2");
+
+  // The first request is answered last
+  const [slow, fast] = await Promise.all([
+    client.findNode(server.owner, "01".repeat(20)),
+    client.findNode(server.owner, "02".repeat(20)),
+  ]);
+  assert.strictEqual(slow[0].peerIP, "10.9.9.1");
+  assert.strictEqual(fast[0].peerIP, "10.9.9.2");
+  assert.strictEqual(client.pending.size, 0);
+});
+
+test("unanswered requests are retried, then given up on", async () => {
+  const network = new transports.MemoryNetwork();
+  const received = [];
+  const server = await node(network, "10.0.0.1", (packet) => received.push(packet.transactionID));
+  const client = await node(network, "10.0.0.2", null, { timeout: 20, retries: 2 });
+
+  assert.strictEqual(await client.ping(server.owner), false);
+  assert.strictEqual(received.length, 3);
+  assert.ok(received.every(id => id !== 0 && id === received[0])); // The same request, sent again
+});
+
+test("requests to an unreachable peer fail at once", async () => {
+  const network = new transports.MemoryNetwork();
+  const client = await node(network, "10.0.0.2", null, { timeout: 5000 });
+
+  const start = Date.now();
+  assert.strictEqual(await client.findValue(owner("10.0.0.3"), "01".repeat(20)), null);
+  assert.ok(Date.now() - start < 1000);
+});
+
+test("replies from another address, of the wrong type or malformed are ignored", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await node(network, "10.0.0.1", () => {});
+  const intruder = await node(network, "10.0.0.3");
+  const client = await node(network, "10.0.0.2", null, { timeout: 50, retries: 0 });
+
+  const ping = client.ping(server.owner);
+  const [id] = client.pending.keys();
+  const pong = (type) => {
+    ptpMessage.init(9, type, { owner: server.owner, table: [] }, { key: "01".repeat(20) });
+    return codec.withTransactionID(ptpMessage.getPacket(), id);
+  };
+  intruder.notify(client.owner, pong(ptpMessage.messageTypes.PONG));
+  server.notify(client.owner, pong(ptpMessage.messageTypes.NODES));
+  server.notify(client.owner, pong(ptpMessage.messageTypes.PONG).slice(0, 6));
+  assert.strictEqual(await ping, false);
+
+  const again = client.ping(server.owner);
+  const [next] = client.pending.keys();
+  ptpMessage.init(9, ptpMessage.messageTypes.PONG, { owner: server.owner, table: [] });
+  server.notify(client.owner, codec.withTransactionID(ptpMessage.getPacket(), next));
+  assert.strictEqual(await again, true);
+});
+
+test("an RPC layer signs with the identity its owner's ID derives from", () => {
+  const transport = transports.create("memory", { network: new transports.MemoryNetwork() });
+  assert.throws(() => new Rpc(owner("10.0.0.1"), transport), /identity/);
+  assert.throws(() => new Rpc(owner("10.0.0.1"), transport, {}, { identity: identity("10.0.0.2") }), /not the one of its identity/);
+});
+
+test("unsigned and forged packets are dropped before reaching the handlers", async () => {
+  const network = new transports.MemoryNetwork();
+  const registry = new metrics.Registry();
+  const received = [];
+  const server = await node(network, "10.0.0.1", (packet) => received.push(packet), { metrics: registry });
+  const client = await node(network, "10.0.0.2");
+  const send = (packet) => new Promise(resolve => client.transport.send(server.owner, packet, {}, resolve));
+
+  ptpMessage.init(9, ptpMessage.messageTypes.STORE, { owner: client.owner, table: [] }, { key: "01".repeat(20), value: "v" });
+  const unsigned = ptpMessage.getPacket();
+  const forged = codec.sign(unsigned, client.identity);
+  forged[forged.length - Identity.SIGNATURE_SIZE - Identity.PUBLIC_KEY_SIZE - 1] ^= 1; // Another value
+  await send(unsigned);
+  await send(forged);
+  await client.store(server.owner, "01".repeat(20), "v");
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].senderID, client.owner.peerID);
+  assert.strictEqual(received[0].version, codec.VERSION);
+  assert.match(registry.render(), /^kad_messages_unsigned_total 1$/m);
+  assert.match(registry.render(), /^kad_messages_forged_total 1$/m);
+});
+
+test("replies must come from the peer asked, whose ID identify learns", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await node(network, "10.0.0.1", (packet, from, reply) => {
+    ptpMessage.init(9, ptpMessage.messageTypes.PONG, { owner: server.owner, table: [] });
+    reply(ptpMessage.getPacket());
+  });
+  const client = await node(network, "10.0.0.2", null, { timeout: 50, retries: 0 });
+
+  // Someone else is expected at the server's address
+  assert.strictEqual(await client.ping(Object.assign(owner("10.0.0.1"), { peerID: identity("10.0.0.3").id })), false);
+  assert.strictEqual(await client.ping(server.owner), true);
+  assert.deepStrictEqual(await client.identify({ peerIP: "10.0.0.1", peerPort: 4000 }), server.owner);
+});
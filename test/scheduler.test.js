@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const handler = require("../KADNetworkManager");
+const scheduler = require("../KADScheduler");
+const RoutingTable = require("../KADRoutingTable");
+const transports = require("../KADTransport");
+const singleton = require("../Singleton");
+const Identity = require("../KADIdentity");
+const { waitFor } = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+
+// A DHT listening on a memory network
+async function listeningTable(network, ip) {
+  const identity = Identity.generate();
+  const owner = { peerName: ip, peerIP: ip, peerPort: 4000, peerID: identity.id };
+  const dht = new RoutingTable(owner, { identity: identity, transport: transports.create("memory", { network: network }) });
+  await new Promise(resolve => handler.listen(dht, resolve));
+  return dht;
+}
+
+// Two DHTs that know each other, and a fake clock the test moves forward by hand
+async function setUp(t) {
+  const clock = { time: Date.now() };
+  singleton.setClock({ now: () => clock.time });
+  t.after(() => singleton.setClock({ now: () => Date.now() }));
+
+  const network = new transports.MemoryNetwork();
+  const [dht, other] = [await listeningTable(network, "10.0.0.1"), await listeningTable(network, "10.0.0.2")];
+  t.after(() => Promise.all([dht, other].map(table => new Promise(resolve => table.rpc.close(resolve)))));
+  handler.pushBucket(dht, other.owner);
+  handler.pushBucket(other, dht.owner);
+  return { clock, dht, other, maintenance: scheduler.createScheduler(dht) };
+}
+
+function lookups(dht) {
+  const line = handler.metricsFor(dht).render().split("\n").find(line => line.startsWith('kad_lookups_total{type="FIND_NODE"}'));
+  return line ? Number(line.split(" ")[1]) : 0;
+}
+
+test("buckets without a lookup for the refresh interval are refreshed", async (t) => {
+  const { clock, dht, maintenance } = await setUp(t);
+  const prefix = dht.prefixes()[0];
+
+  maintenance.tick();
+  assert.strictEqual(lookups(dht), 0);
+
+  clock.time += scheduler.defaults.refreshInterval;
+  maintenance.tick();
+  assert.strictEqual(lookups(dht), 1);
+  assert.strictEqual(dht.lastLookup(prefix), clock.time);
+
+  // The lookup counts as the bucket's refresh
+  clock.time += scheduler.defaults.refreshInterval / 2;
+  maintenance.tick();
+  assert.strictEqual(lookups(dht), 1);
+});
+
+test("values published by the peer are republished once the interval has passed", async (t) => {
+  const { clock, dht, other, maintenance } = await setUp(t);
+  const keyID = singleton.getKeyID("colour");
+  dht.store[keyID] = { value: "blue", storedAt: clock.time, original: true, publishedAt: clock.time };
+
+  clock.time += scheduler.defaults.republishInterval - 1;
+  maintenance.tick();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(other.store[keyID], undefined);
+
+  clock.time += 1;
+  maintenance.tick();
+  await waitFor(() => other.store[keyID]);
+  assert.strictEqual(other.store[keyID].value, "blue");
+  assert.strictEqual(dht.store[keyID].publishedAt, clock.time);
+});
+
+test("a value published here is kept, and republished, when another peer stores its own", async (t) => {
+  const { clock, dht, other, maintenance } = await setUp(t);
+  const [keyID, probe] = ["colour", "probe"].map(key => singleton.getKeyID(key));
+  dht.store[keyID] = { value: "blue", storedAt: clock.time, original: true, publishedAt: clock.time };
+
+  await other.rpc.store(dht.owner, keyID, "red");
+  await other.rpc.store(dht.owner, probe, "sent after"); // Arrives once the other store did
+  await waitFor(() => dht.store[probe]);
+  assert.deepStrictEqual(dht.store[keyID], { value: "blue", storedAt: clock.time, original: true, publishedAt: clock.time });
+
+  clock.time += scheduler.defaults.republishInterval;
+  maintenance.tick();
+  await waitFor(() => other.store[keyID]);
+  assert.strictEqual(other.store[keyID].value, "blue");
+});
+
+test("values received from other peers expire unless stored again", async (t) => {
+  const { clock, dht, maintenance } = await setUp(t);
+  const [stale, fresh, published] = ["stale", "fresh", "published"].map(key => singleton.getKeyID(key));
+  dht.store[stale] = { value: "old", storedAt: clock.time, original: false, publishedAt: null };
+  dht.store[published] = { value: "mine", storedAt: clock.time, original: true, publishedAt: clock.time };
+
+  clock.time += HOUR;
+  dht.store[fresh] = { value: "new", storedAt: clock.time, original: false, publishedAt: null };
+
+  clock.time += scheduler.defaults.expireAfter - HOUR;
+  maintenance.tick();
+  assert.deepStrictEqual(Object.keys(dht.store).sort(), [fresh, published].sort());
+
+  clock.time += HOUR;
+  maintenance.tick();
+  assert.deepStrictEqual(Object.keys(dht.store), [published]);
+});
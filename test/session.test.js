@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { Sessions, SessionError } = require("../KADSession");
+const KademliaNode = require("../KADNode");
+const transports = require("../KADTransport");
+const ptpMessage = require("../KADPTP");
+const codec = require("../KADCodec");
+const singleton = require("../Singleton");
+const helpers = require("./helpers");
+
+// Both sides of a session, as a handshake leaves them
+function pair() {
+  const [initiator, responder] = [new Sessions(), new Sessions()];
+  const [a, b] = [Sessions.keyPair(), Sessions.keyPair()];
+  return {
+    initiator: initiator,
+    responder: responder,
+    sent: initiator.establish(a, b.publicKey, "bb", true),
+    received: responder.establish(b, a.publicKey, "aa", false),
+  };
+}
+
+test("both sides of a handshake derive the same session", () => {
+  const { initiator, responder, sent, received } = pair();
+  assert.strictEqual(sent.id, received.id);
+  assert.deepStrictEqual(sent.key, received.key);
+  assert.strictEqual(sent.peerID, "bb");
+  assert.strictEqual(received.peerID, "aa");
+
+  const envelope = initiator.seal(sent, Buffer.from("a signed packet"));
+  assert.strictEqual(codec.peekVersion(envelope), codec.ENCRYPTED_VERSION);
+  assert.ok(!envelope.includes(Buffer.from("signed")));
+  const opened = responder.open(envelope);
+  assert.strictEqual(opened.session, received);
+  assert.strictEqual(opened.packet.toString(), "a signed packet");
+  assert.strictEqual(new Sessions().establish(Sessions.keyPair(), Buffer.alloc(32), "cc", true), null);
+});
+
+test("altered, foreign and expired envelopes cannot be opened", (t) => {
+  const { initiator, responder, sent } = pair();
+  const envelope = initiator.seal(sent, Buffer.from("packet"));
+  for (const offset of [0, 5, 14, 30, envelope.length - 1]) {
+    const altered = Buffer.from(envelope);
+    altered[offset] ^= 1;
+    assert.throws(() => responder.open(altered), SessionError);
+  }
+  assert.throws(() => new Sessions().open(envelope), SessionError);
+  assert.throws(() => responder.open(envelope.slice(0, 20)), SessionError);
+
+  let now = Date.now();
+  singleton.setClock({ now: () => now });
+  t.after(() => singleton.setClock({ now: () => Date.now() }));
+  const { initiator: a, responder: b, sent: session } = pair();
+  now += 2 * 60 * 60 * 1000;
+  assert.throws(() => b.open(a.seal(session, Buffer.from("late"))), SessionError);
+  assert.strictEqual(b.size, 0);
+});
+
+// An Rpc on a memory transport listening at `ip`, recording the packets it receives and
+// sends back
+async function node(network, ip, onRequest, options) {
+  const rpc = await helpers.node(network, ip, onRequest, options);
+  rpc.wire = { received: [], replied: [] };
+  const onPacket = rpc.transport.handlers.onPacket;
+  rpc.transport.handlers.onPacket = (data, from, reply) => {
+    rpc.wire.received.push(data);
+    onPacket(data, from, (answer) => {
+      rpc.wire.replied.push(answer);
+      reply(answer);
+    });
+  };
+  return rpc;
+}
+
+function answerFindNode(packet, from, reply) {
+  ptpMessage.init(9, ptpMessage.messageTypes.NODES, { owner: { peerName: "server" }, table: [] }, { key: packet.key });
+  reply(ptpMessage.getPacket());
+}
+
+test("an encrypting peer sets up a session before its first request, which a plaintext peer answers through", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await node(network, "10.0.0.1", answerFindNode);
+  const client = await node(network, "10.0.0.2", null, { encrypt: true });
+
+  assert.deepStrictEqual(await client.findNode(server.owner, "01".repeat(20)), []);
+  assert.deepStrictEqual(await client.findNode(server.owner, "02".repeat(20)), []);
+  const versions = (packets) => packets.map(packet => codec.peekVersion(packet));
+  assert.deepStrictEqual(versions(server.wire.received), [codec.VERSION, codec.ENCRYPTED_VERSION, codec.ENCRYPTED_VERSION]);
+  assert.deepStrictEqual(versions(server.wire.replied), [codec.VERSION, codec.ENCRYPTED_VERSION, codec.ENCRYPTED_VERSION]);
+  assert.ok(server.wire.received.slice(1).every(packet => !packet.includes(Buffer.from(client.owner.peerName))));
+
+  // The plaintext peer still talks in plaintext
+  const plain = await node(network, "10.0.0.3");
+  assert.deepStrictEqual(await plain.findNode(server.owner, "03".repeat(20)), []);
+  assert.strictEqual(codec.peekVersion(server.wire.received[3]), codec.VERSION);
+});
+
+test("a session the other peer lost is set up again", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = await node(network, "10.0.0.1", answerFindNode);
+  const client = await node(network, "10.0.0.2", null, { encrypt: true, timeout: 30, retries: 0 });
+
+  assert.deepStrictEqual(await client.findNode(server.owner, "01".repeat(20)), []);
+  server.sessions = new Sessions(); // As after a restart
+  assert.strictEqual(await client.findNode(server.owner, "01".repeat(20)), null);
+  assert.deepStrictEqual(await client.findNode(server.owner, "01".repeat(20)), []);
+  assert.strictEqual(server.sessions.size, 1);
+});
+
+test("a session is bound to the identity that set it up", async () => {
+  const network = new transports.MemoryNetwork();
+  const received = [];
+  const server = await node(network, "10.0.0.1", (packet) => received.push(packet));
+  const client = await node(network, "10.0.0.2", null, { encrypt: true });
+  const other = await node(network, "10.0.0.3");
+  const session = await client.sessionWith(server.owner);
+
+  // Another peer signs a message and seals it in the client's session
+  ptpMessage.init(9, ptpMessage.messageTypes.STORE, { owner: other.owner, table: [] }, { key: "01".repeat(20), value: "v" });
+  const forged = client.sessions.seal(session, codec.sign(ptpMessage.getPacket(), other.identity));
+  await new Promise(resolve => client.transport.send(server.owner, forged, {}, resolve));
+  await client.store(server.owner, "01".repeat(20), "v");
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(received.map(packet => packet.senderID), [client.owner.peerID]);
+});
+
+test("encrypting and plaintext nodes share a network", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const seed = new KademliaNode({ name: "seed", transport: "memory", network: network });
+  const secret = new KademliaNode({ name: "secret", transport: "memory", network: network, encrypt: true });
+  const plain = new KademliaNode({ name: "plain", transport: "memory", network: network });
+  t.after(() => Promise.all([seed.stop(), secret.stop(), plain.stop()]));
+  await seed.start({ host: "10.0.0.1", port: 4000 });
+  await secret.start({ host: "10.0.0.2", port: 4000, bootstrap: "10.0.0.1:4000" });
+  await plain.start({ host: "10.0.0.3", port: 4000, bootstrap: "10.0.0.1:4000" });
+
+  await secret.put("colour", "blue");
+  assert.strictEqual(await plain.get("colour"), "blue");
+  await plain.put("shape", "round");
+  assert.strictEqual(await secret.get("shape"), "round");
+  assert.ok(secret.stats().sessions >= 2);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { PassThrough } = require("stream");
+
+const KademliaNode = require("../KADNode");
+const shell = require("../KADShell");
+const transports = require("../KADTransport");
+require("./helpers"); // Keeps the loggers quiet
+
+test("shell commands drive and inspect a running node", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const seed = new KademliaNode({ name: "seed", transport: "memory", network: network });
+  const node = new KademliaNode({ name: "a", transport: "memory", network: network });
+  t.after(() => Promise.all([seed.stop(), node.stop()]));
+  await seed.start({ host: "10.0.0.1", port: 4000 });
+  await node.start({ host: "10.0.0.2", port: 4000, bootstrap: "10.0.0.1:4000" });
+  const { execute } = shell.createShell(node);
+  const prefix = node.dht.find(seed.id).prefix;
+
+  assert.match(await execute("table"), new RegExp(`Bucket P${prefix}: 1/20 peers[^]*10\\.0\\.0\\.1:4000 +${seed.id}`));
+  assert.match(await execute(`peers --bucket ${prefix}`), new RegExp(seed.id));
+  assert.strictEqual(await execute(`peers --bucket ${prefix + 1}`), "No peers");
+  assert.match(await execute("peers --bucket"), /Usage: peers/);
+
+  assert.match(await execute(`lookup ${seed.id}`), new RegExp(`^10\\.0\\.0\\.1:4000 +${seed.id}`));
+  assert.match(await execute("lookup 1234"), /Expected an ID of 40 hex digits/);
+
+  assert.strictEqual(await execute("put colour light blue"), "Stored colour locally and on 1 peers");
+  assert.strictEqual(await shell.createShell(seed).execute("get colour"), "light blue");
+  assert.strictEqual(await execute("get shape"), "No value for shape");
+
+  assert.match(await execute(`ping ${seed.id}`), /^10\.0\.0\.1:4000 is alive/);
+  assert.strictEqual(await execute("ping 10.0.0.9:4000"), "10.0.0.9:4000 did not answer");
+
+  assert.match(await execute("stats"), /Peers +1 in 1 buckets[^]*Values +1 stored, 1 published here/);
+  assert.match(await execute("frobnicate"), /Unknown command frobnicate/);
+  assert.strictEqual(await execute("exit"), null);
+});
+
+test("the shell reads commands from its input until it ends", async (t) => {
+  const network = new transports.MemoryNetwork();
+  const node = new KademliaNode({ name: "a", transport: "memory", network: network });
+  t.after(() => node.stop());
+  await node.start({ host: "10.0.0.2", port: 4000 });
+
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = "";
+  output.on("data", (chunk) => { written += chunk; });
+  const exited = new Promise(resolve => shell.createShell(node, { input: input, output: output, onExit: resolve }).start());
+  input.end("peers\nhelp\n");
+  await exited;
+
+  assert.match(written, /^kad> No peers\n/);
+  assert.match(written, /peers \[--bucket N\] +list the known peers/);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const Simulation = require("../KADSimulation");
+require("./helpers"); // Keeps the loggers quiet
+
+for (const transport of ["tcp", "memory"]) {
+  test(`a simulated network finds peers and values, through churn and partitions (${transport})`, async (t) => {
+    const sim = new Simulation({ k: 4, transport: transport });
+    t.after(() => sim.stop());
+    const peers = await sim.start(12);
+    sim.assertInvariants();
+
+    await t.test("every peer joined and knows others", () => {
+      peers.forEach(peer => assert.ok(peer.dht.size > 0, `${peer.name} knows nobody`));
+    });
+
+    await t.test("a lookup finds the target peer first", async () => {
+      const target = peers[11].dht.owner.peerID;
+      const contacts = await sim.lookup(peers[0], target);
+      assert.strictEqual(contacts[0].peerID, target);
+    });
+
+    await t.test("a value stored by one peer is found by another", async () => {
+      const targets = await sim.put(peers[3], "colour", "blue");
+      assert.strictEqual(targets.length, 4);
+      assert.strictEqual(await sim.get(peers[9], "colour"), "blue");
+    });
+
+    await t.test("a value survives the death of some of its holders", async () => {
+      await sim.kill(peers[5]);
+      await sim.kill(peers[6]);
+      assert.strictEqual(await sim.get(peers[10], "colour"), "blue");
+    });
+
+    await t.test("a value does not cross a partition", async () => {
+      sim.partition([peers.slice(0, 6), peers.slice(6)]);
+      await sim.put(peers[1], "side", "left");
+      assert.strictEqual(await sim.get(peers[2], "side"), "left");
+      assert.strictEqual(await sim.get(peers[11], "side"), null);
+      sim.heal();
+    });
+
+    sim.assertInvariants();
+  });
+}
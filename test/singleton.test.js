@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const singleton = require("../Singleton");
+
+const ZERO = "00".repeat(20);
+
+test("getBucketPrefix of an ID with itself is the full ID width", () => {
+  const id = singleton.getPeerID("127.0.0.1", 4000);
+  assert.strictEqual(singleton.getBucketPrefix(id, id), 160);
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, ZERO), 160);
+});
+
+test("getBucketPrefix counts the leading bits two IDs share", () => {
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, "80" + "00".repeat(19)), 0);
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, "40" + "00".repeat(19)), 1);
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, "01" + "00".repeat(19)), 7);
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, "0080" + "00".repeat(18)), 8);
+  assert.strictEqual(singleton.getBucketPrefix(ZERO, "00".repeat(19) + "01"), 159);
+  assert.strictEqual(singleton.getBucketPrefix("ff".repeat(20), "7f" + "ff".repeat(19)), 0);
+});
+
+test("getBucketPrefix is symmetric", () => {
+  for (let i = 0; i < 50; i++) {
+    const a = singleton.getPeerID("10.0.0.1", 3000 + i);
+    const b = singleton.getPeerID("10.0.0.2", 3000 + i);
+    assert.strictEqual(singleton.getBucketPrefix(a, b), singleton.getBucketPrefix(b, a));
+  }
+});
+
+test("getBucketPrefix follows the configured ID width", (t) => {
+  t.after(() => singleton.setIDBits(160));
+  singleton.setIDBits(32);
+  assert.strictEqual(singleton.getBucketPrefix("00000000", "00000000"), 32);
+  assert.strictEqual(singleton.getBucketPrefix("00000000", "00000100"), 23);
+  assert.throws(() => singleton.setIDBits(33));
+});
+
+test("getRandomIDInBucket returns IDs that fall in the requested bucket", () => {
+  const id = singleton.getPeerID("127.0.0.1", 4000);
+  for (const prefix of [0, 1, 7, 8, 63, 159]) {
+    const randomID = singleton.getRandomIDInBucket(id, prefix);
+    assert.strictEqual(singleton.getBucketPrefix(id, randomID), prefix);
+  }
+});
+
+test("XORing matches the XOR distance on bit strings", () => {
+  assert.strictEqual(singleton.XORing("", ""), "");
+  assert.strictEqual(singleton.XORing("0000", "0000"), "0000");
+  assert.strictEqual(singleton.XORing("1111", "0000"), "1111");
+  assert.strictEqual(singleton.XORing("1010", "1010"), "0000");
+  assert.strictEqual(singleton.XORing("1100", "1010"), "0110");
+
+  const a = singleton.getPeerID("10.0.0.1", 3001);
+  const b = singleton.getPeerID("10.0.0.2", 3002);
+  const xor = singleton.XORing(singleton.Hex2Bin(a), singleton.Hex2Bin(b));
+  assert.strictEqual(singleton.Bin2Hex(xor), singleton.xorDistance(a, b).toString("hex"));
+});
+
+test("compareDistance orders IDs by XOR distance to the target", () => {
+  const target = "f0" + "00".repeat(19);
+  const near = "f1" + "00".repeat(19);
+  const far = "0f" + "00".repeat(19);
+  assert.ok(singleton.compareDistance(target, near, far) < 0);
+  assert.ok(singleton.compareDistance(target, far, near) > 0);
+  assert.strictEqual(singleton.compareDistance(target, near, near), 0);
+});
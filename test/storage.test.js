@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const KademliaNode = require("../KADNode");
+const storage = require("../KADStorage");
+const transports = require("../KADTransport");
+require("./helpers"); // Keeps the loggers quiet
+
+// Removed once every test is done, after the nodes using them have stopped and saved
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function dataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kad-data-"));
+  dirs.push(dir);
+  return dir;
+}
+
+test("files are replaced atomically, leaving no temporary file behind", () => {
+  const dir = dataDir();
+  const file = path.join(dir, "state.json");
+  storage.writeFileAtomic(file, "old");
+  storage.writeFileAtomic(file, "new");
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "new");
+  assert.deepStrictEqual(fs.readdirSync(dir), ["state.json"]);
+
+  assert.throws(() => storage.writeFileAtomic(path.join(dir, "missing", "state.json"), "data"));
+});
+
+test("a restarted node keeps its ID and values and rejoins through its saved contacts", async (t) => {
+  const dir = dataDir();
+  const network = new transports.MemoryNetwork();
+  const seed = new KademliaNode({ name: "seed", transport: "memory", network: network });
+  t.after(() => seed.stop());
+  await seed.start({ host: "10.0.0.1", port: 4000 });
+
+  const first = new KademliaNode({ name: "a", transport: "memory", network: network, dataDir: dir });
+  await first.start({ host: "10.0.0.2", bootstrap: "10.0.0.1:4000" });
+  await first.put("colour", "blue");
+  const { id, contact } = first;
+  await first.stop();
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), Object.values(storage.files).sort());
+
+  // No address and no seed: both come from the data directory
+  const second = new KademliaNode({ name: "a", transport: "memory", network: network, dataDir: dir });
+  t.after(() => second.stop());
+  await second.start();
+  assert.strictEqual(second.id, id);
+  assert.strictEqual(second.contact.peerPort, contact.peerPort);
+  assert.deepStrictEqual(second.peers.map(peer => peer.peerID), [seed.id]);
+  assert.strictEqual(await second.get("colour"), "blue");
+});
+
+test("unreadable or mismatched saved state is ignored", async (t) => {
+  const dir = dataDir();
+  fs.writeFileSync(path.join(dir, storage.files.identity), JSON.stringify({ id: "abcd", host: "10.0.0.2", port: 4000 }));
+  fs.writeFileSync(path.join(dir, storage.files.contacts), "[{");
+
+  const node = new KademliaNode({ transport: "memory", network: new transports.MemoryNetwork(), dataDir: dir });
+  t.after(() => node.stop());
+  await node.start();
+  assert.notStrictEqual(node.id, "abcd");
+  assert.strictEqual(node.peers.length, 0);
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const transports = require("../KADTransport");
+require("./helpers"); // Keeps the loggers quiet
+
+const HOST = "127.0.0.1";
+
+function listen(transport, handlers, port = 0) {
+  transport.handlers = handlers;
+  return new Promise((resolve, reject) => {
+    transport.listen(HOST, port, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Sends a packet and resolves with the next packet the sender receives, or with the send error
+function exchange(transport, peer, packet) {
+  return new Promise(resolve => {
+    transport.handlers = { onPacket: (reply) => resolve(reply) };
+    transport.send(peer, packet, { expectReply: true }, (err) => { if (err) resolve(err); });
+  });
+}
+
+// A peer that answers every packet with the packet reversed
+const echo = {
+  greeting: () => Buffer.from("welcome"),
+  onPacket: (packet, from, reply) => reply(Buffer.from(packet).reverse()),
+};
+
+test("UDP replies go back to the sender's socket", async (t) => {
+  const server = new transports.UdpTransport();
+  const client = new transports.UdpTransport();
+  t.after(() => { server.close(); client.close(); });
+  await listen(server, echo);
+  const peer = { peerIP: HOST, peerPort: server.socket.address().port };
+
+  assert.strictEqual(String(await exchange(client, peer, Buffer.from("abc"))), "cba");
+});
+
+test("a closed UDP transport fails what it is asked to send instead of opening a socket", async () => {
+  const transport = new transports.UdpTransport();
+  await listen(transport, echo);
+  const peer = { peerIP: HOST, peerPort: transport.socket.address().port };
+  transport.close();
+
+  assert.match((await exchange(transport, peer, Buffer.from("abc"))).message, /closed/);
+  assert.strictEqual(transport.socket, null);
+});
+
+test("UDP falls back to TCP for packets too large for a datagram", async (t) => {
+  const server = transports.create("udp", { maxDatagramSize: 512 });
+  const client = transports.create("udp", { maxDatagramSize: 512 });
+  t.after(() => { server.close(); client.close(); });
+  await listen(server, {
+    greeting: echo.greeting,
+    onPacket: (packet, from, reply) => reply(String(packet) === "big please" ? Buffer.alloc(4096, 7) : Buffer.from(packet).reverse()),
+  });
+  await listen(client, {});
+  const peer = { peerIP: HOST, peerPort: server.socket.address().port };
+
+  // A large request goes over TCP, and its reply comes back on the same connection
+  assert.strictEqual(String(await exchange(client, peer, Buffer.alloc(2048, "a"))), "a".repeat(2048));
+  // A large reply to a datagram comes over TCP, to the port the request came from
+  let reply = await new Promise(resolve => {
+    client.handlers = { greeting: echo.greeting, onPacket: (packet) => resolve(packet) };
+    client.send(peer, Buffer.from("big please"));
+  });
+  assert.deepStrictEqual(reply, Buffer.alloc(4096, 7));
+});
+
+test("TCP reports a peer that closes without answering", async (t) => {
+  const server = new transports.TcpTransport();
+  t.after(() => server.close());
+  await listen(server, { greeting: echo.greeting, onPacket: () => {} });
+  const peer = { peerIP: HOST, peerPort: server.server.address().port };
+
+  server.handlers.onPacket = (packet, from, reply) => reply(Buffer.from("ok"));
+  assert.strictEqual(String(await exchange(new transports.TcpTransport(), peer, Buffer.from("?"))), "ok");
+
+  server.server.on("connection", (connection) => setImmediate(() => connection.destroy()));
+  assert.ok(await exchange(new transports.TcpTransport(), peer, Buffer.from("?")) instanceof Error);
+});
+
+test("memory transports deliver within their network only while reachable", async () => {
+  const network = new transports.MemoryNetwork();
+  const server = transports.create("memory", { network: network });
+  const client = transports.create("memory", { network: network });
+  await listen(server, echo);
+  await listen(client, {}, 1);
+  const peer = { peerIP: HOST, peerPort: 0 };
+
+  assert.strictEqual(String(await exchange(client, peer, Buffer.from("abc"))), "cba");
+
+  network.reachable = () => false;
+  assert.ok(await exchange(client, peer, Buffer.from("abc")) instanceof Error);
+
+  network.reachable = () => true;
+  server.close();
+  assert.ok(await exchange(client, peer, Buffer.from("abc")) instanceof Error);
+});